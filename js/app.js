@@ -28,7 +28,8 @@ class P2PMEApp {
             await this.cryptoManager.initialize();
 
             // 初始化網路管理器
-            this.networkManager = new NetworkManager();
+            this.networkManager = new NetworkManager(window.P2PME_CONFIG || {});
+            await this.networkManager.initializeIdentity();
             
             // 初始化檔案傳輸管理器
             this.fileTransferManager = new FileTransferManager(this.networkManager);
@@ -67,6 +68,11 @@ class P2PMEApp {
             this.showNotification('與信令伺服器斷開連接', 'warning');
         });
 
+        this.networkManager.on('signaling-replaced', () => {
+            this.updateConnectionStatus('disconnected');
+            this.showNotification('此節點 ID 已在其他分頁開啟，本分頁已停止連線', 'warning');
+        });
+
         this.networkManager.on('peer-connected', (peerId) => {
             this.updatePeerList();
             this.showNotification(`節點 ${Utils.truncateString(peerId, 8)} 已連接`, 'info');
@@ -91,6 +97,10 @@ class P2PMEApp {
             this.updateAvailableFilesList();
         });
 
+        this.fileTransferManager.on('file-peers-updated', (fileInfo) => {
+            this.updateAvailableFilesList();
+        });
+
         this.fileTransferManager.on('download-progress', (data) => {
             this.updateDownloadProgress(data);
         });
@@ -212,6 +222,8 @@ class P2PMEApp {
     setupNodeConfiguration() {
         const regenerateBtn = document.getElementById('regenerateNodeId');
         const copyIdBtn = document.getElementById('copyNodeId');
+        const signalingInput = document.getElementById('signaling-urls');
+        const saveSignalingBtn = document.getElementById('save-signaling-urls');
 
         regenerateBtn.addEventListener('click', () => {
             this.regenerateNodeId();
@@ -221,6 +233,27 @@ class P2PMEApp {
             this.copyNodeId();
         });
 
+        // 信令伺服器位址
+        signalingInput.value = this.networkManager.signalingUrls.join(', ');
+        saveSignalingBtn.addEventListener('click', () => {
+            this.saveSignalingUrls(signalingInput.value);
+        });
+
+        // 手動配對
+        document.getElementById('create-pairing-code').addEventListener('click', () => {
+            this.createPairingCode();
+        });
+
+        document.getElementById('accept-pairing-code').addEventListener('click', () => {
+            this.acceptPairingCode(document.getElementById('pairing-code').value);
+        });
+
+        document.getElementById('copy-pairing-code').addEventListener('click', () => {
+            Utils.copyToClipboard(document.getElementById('pairing-code').value)
+                .then(() => this.showNotification('配對碼已複製到剪貼板', 'success'))
+                .catch(() => this.showNotification('複製失敗', 'error'));
+        });
+
         // 顯示節點 ID
         this.updateNodeInfo();
     }
@@ -295,11 +328,78 @@ class P2PMEApp {
     }
 
     // 重新生成節點 ID
-    regenerateNodeId() {
+    async regenerateNodeId() {
         if (confirm('確定要重新生成節點 ID 嗎？這將斷開所有連接。')) {
-            this.networkManager.regenerateNodeId();
-            this.updateNodeInfo();
+            try {
+                await this.networkManager.regenerateNodeId();
+                this.updateNodeInfo();
+            } catch (error) {
+                this.showNotification(`重新生成節點 ID 失敗: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    // 儲存信令伺服器位址
+    saveSignalingUrls(value) {
+        try {
+            this.networkManager.setSignalingUrls(value);
+            localStorage.setItem(NetworkManager.SIGNALING_URLS_KEY, JSON.stringify(this.networkManager.signalingUrls));
+            this.showNotification('信令伺服器位址已儲存', 'success');
+        } catch (error) {
+            this.showNotification(`儲存失敗: ${error.message}`, 'error');
+        }
+    }
+
+    // 產生配對碼，交給另一個瀏覽器貼入
+    async createPairingCode() {
+        try {
+            const code = await this.networkManager.createManualOffer();
+            this.showPairingCode(code);
+            this.showNotification('配對碼已產生，請交給對方', 'success');
+        } catch (error) {
+            this.showNotification(`產生配對碼失敗: ${error.message}`, 'error');
+        }
+    }
+
+    // 貼入對方的配對碼，收到邀請時顯示要交還給對方的回覆配對碼
+    async acceptPairingCode(code) {
+        try {
+            const answer = await this.networkManager.acceptPairingCode(code);
+            if (answer) {
+                this.showPairingCode(answer);
+                this.showNotification('請將回覆配對碼交給對方', 'info');
+            } else {
+                this.showPairingCode('');
+                this.showNotification('配對完成，正在建立連線', 'success');
+            }
+        } catch (error) {
+            this.showNotification(`配對失敗: ${error.message}`, 'error');
+        }
+    }
+
+    // 以文字與 QR code 顯示配對碼；SDP 太長、超過 QR code 容量時只顯示文字
+    showPairingCode(code) {
+        document.getElementById('pairing-code').value = code;
+
+        const qrContainer = document.getElementById('pairing-qr');
+        qrContainer.innerHTML = '';
+        if (!code || typeof qrcode === 'undefined') return;
+
+        const qr = qrcode(0, 'L');
+        qr.addData(code);
+        try {
+            qr.make();
+        } catch (error) {
+            const hint = document.createElement('p');
+            hint.className = 'pairing-hint';
+            hint.textContent = '配對碼太長，無法產生 QR code，請複製文字交給對方';
+            qrContainer.appendChild(hint);
+            return;
         }
+        const image = document.createElement('img');
+        image.src = qr.createDataURL(4, 2);
+        image.alt = '配對碼 QR code';
+        qrContainer.appendChild(image);
     }
 
     // 複製節點 ID
@@ -480,7 +580,7 @@ class P2PMEApp {
                     <div class="file-name">${fileInfo.name}</div>
                     <div class="file-details">
                         ${Utils.formatFileSize(fileInfo.size)} • 
-                        來自 ${Utils.truncateString(fileInfo.peerId, 8)}
+                        ${fileInfo.peers.size} 個節點擁有
                     </div>
                 </div>
                 <button class="btn btn-primary btn-sm" onclick="app.downloadFile('${fileInfo.id}')">
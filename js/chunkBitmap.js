@@ -0,0 +1,88 @@
+// 檔案塊位元圖 - 記錄哪些檔案塊已經收到，並轉換成要求缺少部分時使用的範圍
+class ChunkBitmap {
+    // bytes: 之前保存的位元圖內容（Uint8Array 或 ArrayBuffer）
+    constructor(totalChunks, bytes = null) {
+        this.totalChunks = totalChunks;
+        this.bytes = new Uint8Array(Math.ceil(totalChunks / 8));
+        this.count = 0;
+
+        if (bytes) {
+            this.bytes.set(new Uint8Array(bytes).subarray(0, this.bytes.length));
+            for (let index = 0; index < totalChunks; index++) {
+                if (this.has(index)) this.count++;
+            }
+        }
+    }
+
+    has(index) {
+        return (this.bytes[index >> 3] & (1 << (index & 7))) !== 0;
+    }
+
+    // 標記收到的檔案塊，重複或超出範圍時回傳 false
+    set(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.totalChunks || this.has(index)) {
+            return false;
+        }
+        this.bytes[index >> 3] |= 1 << (index & 7);
+        this.count++;
+        return true;
+    }
+
+    isComplete() {
+        return this.count === this.totalChunks;
+    }
+
+    // 已收到的檔案塊索引，由小到大
+    indices() {
+        const result = [];
+        for (let index = 0; index < this.totalChunks; index++) {
+            if (this.has(index)) result.push(index);
+        }
+        return result;
+    }
+
+    // 缺少的檔案塊範圍 [{ start, end }]，不包含 end
+    missingRanges() {
+        const ranges = [];
+        let start = null;
+        for (let index = 0; index <= this.totalChunks; index++) {
+            const missing = index < this.totalChunks && !this.has(index);
+            if (missing && start === null) {
+                start = index;
+            } else if (!missing && start !== null) {
+                ranges.push({ start, end: index });
+                start = null;
+            }
+        }
+        return ranges;
+    }
+
+    // 將由小到大排列的檔案塊索引合併成範圍
+    static rangesFromIndices(indices) {
+        const ranges = [];
+        for (const index of indices) {
+            const last = ranges[ranges.length - 1];
+            if (last && last.end === index) {
+                last.end = index + 1;
+            } else {
+                ranges.push({ start: index, end: index + 1 });
+            }
+        }
+        return ranges;
+    }
+
+    // 將 file-request 帶來的範圍轉成檔案塊索引，忽略格式錯誤或超出檔案的部分
+    static indicesFromRanges(ranges, totalChunks) {
+        const bitmap = new ChunkBitmap(totalChunks);
+        for (const range of ranges) {
+            if (!range || !Number.isInteger(range.start) || !Number.isInteger(range.end)) continue;
+            for (let index = Math.max(range.start, 0); index < Math.min(range.end, totalChunks); index++) {
+                bitmap.set(index);
+            }
+        }
+        return bitmap.indices();
+    }
+}
+
+// 導出檔案塊位元圖
+window.ChunkBitmap = ChunkBitmap;
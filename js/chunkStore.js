@@ -0,0 +1,115 @@
+// 下載暫存模組 - 以 IndexedDB 保存下載中的檔案塊與位元圖，重新整理頁面或斷線後可以從中斷處繼續
+class ChunkStore {
+    constructor(dbName = ChunkStore.DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+        this.opening = null;
+        this.memory = null; // 無法使用 IndexedDB 時（例如隱私瀏覽模式）改存在記憶體，只能撐過斷線
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = IndexedStore.open(this.dbName, 1, (db) => {
+                db.createObjectStore('downloads', { keyPath: 'fileId' });
+                db.createObjectStore('chunks', { keyPath: ['fileId', 'chunkIndex'] });
+            }).then((db) => {
+                this.db = db;
+            }).catch(error => this.useMemory(error.message));
+        }
+        return this.opening;
+    }
+
+    useMemory(reason) {
+        console.warn(`${reason}，下載進度只保存在記憶體中`);
+        this.memory = { downloads: new Map(), chunks: new Map() };
+    }
+
+    // 下載紀錄：{ fileId, fileName, fileSize, fileType, merkleRoot, totalChunks, chunkSize, bitmap, receivedBytes }
+    async getDownload(fileId) {
+        await this.open();
+        if (this.memory) {
+            return this.memory.downloads.get(fileId) || null;
+        }
+
+        const transaction = this.db.transaction('downloads', 'readonly');
+        const record = await IndexedStore.promisify(transaction.objectStore('downloads').get(fileId));
+        return record || null;
+    }
+
+    async saveDownload(record) {
+        await this.open();
+        if (this.memory) {
+            this.memory.downloads.set(record.fileId, { ...record, updatedAt: Date.now() });
+            return;
+        }
+
+        const transaction = this.db.transaction('downloads', 'readwrite');
+        transaction.objectStore('downloads').put({ ...record, updatedAt: Date.now() });
+        await IndexedStore.complete(transaction);
+    }
+
+    // 檔案塊與更新後的下載紀錄在同一個交易中寫入，位元圖不會與實際保存的檔案塊不一致；
+    // proof 為檔案塊的 Merkle 證明，轉送給其他節點時一併附上
+    async putChunk(record, chunkIndex, data, proof = null) {
+        await this.open();
+        if (this.memory) {
+            this.memory.chunks.set(`${record.fileId}:${chunkIndex}`, { fileId: record.fileId, chunkIndex, data, proof });
+            this.memory.downloads.set(record.fileId, { ...record, updatedAt: Date.now() });
+            return;
+        }
+
+        const transaction = this.db.transaction(['downloads', 'chunks'], 'readwrite');
+        transaction.objectStore('chunks').put({ fileId: record.fileId, chunkIndex, data, proof });
+        transaction.objectStore('downloads').put({ ...record, updatedAt: Date.now() });
+        await IndexedStore.complete(transaction);
+    }
+
+    // 依索引順序回傳已保存的檔案塊 [{ chunkIndex, data }]
+    async getChunks(fileId) {
+        await this.open();
+        if (this.memory) {
+            return Array.from(this.memory.chunks.values())
+                .filter(chunk => chunk.fileId === fileId)
+                .sort((a, b) => a.chunkIndex - b.chunkIndex);
+        }
+
+        const transaction = this.db.transaction('chunks', 'readonly');
+        const range = IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+        return await IndexedStore.promisify(transaction.objectStore('chunks').getAll(range));
+    }
+
+    // 讀取單一檔案塊 { chunkIndex, data, proof }，尚未保存時回傳 null
+    async getChunk(fileId, chunkIndex) {
+        await this.open();
+        if (this.memory) {
+            return this.memory.chunks.get(`${fileId}:${chunkIndex}`) || null;
+        }
+
+        const transaction = this.db.transaction('chunks', 'readonly');
+        const chunk = await IndexedStore.promisify(transaction.objectStore('chunks').get([fileId, chunkIndex]));
+        return chunk || null;
+    }
+
+    async deleteDownload(fileId) {
+        await this.open();
+        if (this.memory) {
+            this.memory.downloads.delete(fileId);
+            for (const [key, chunk] of this.memory.chunks) {
+                if (chunk.fileId === fileId) {
+                    this.memory.chunks.delete(key);
+                }
+            }
+            return;
+        }
+
+        const transaction = this.db.transaction(['downloads', 'chunks'], 'readwrite');
+        transaction.objectStore('downloads').delete(fileId);
+        transaction.objectStore('chunks').delete(IDBKeyRange.bound([fileId, 0], [fileId, Infinity]));
+        await IndexedStore.complete(transaction);
+    }
+}
+
+ChunkStore.DB_NAME = 'p2pme-downloads';
+
+// 導出下載暫存
+window.ChunkStore = ChunkStore;
@@ -4,7 +4,7 @@ class CryptoUtils {
         this.keyPair = null;
     }
 
-    // 生成密鑰對
+    // 生成密鑰對，私鑰不可匯出（公鑰一律可以匯出）
     async generateKeyPair() {
         try {
             this.keyPair = await window.crypto.subtle.generateKey(
@@ -12,7 +12,7 @@ class CryptoUtils {
                     name: "ECDSA",
                     namedCurve: "P-256"
                 },
-                true,
+                false,
                 ["sign", "verify"]
             );
             return this.keyPair;
@@ -110,15 +110,18 @@ class CryptoUtils {
 
     // 計算 Merkle 根
     static calculateMerkleRoot(transactions) {
-        if (transactions.length === 0) {
-            return CryptoUtils.sha256('');
-        }
+        const levels = CryptoUtils.calculateMerkleTree(transactions);
+        return levels[levels.length - 1][0];
+    }
 
-        if (transactions.length === 1) {
-            return CryptoUtils.sha256(transactions[0]);
+    // 由下往上回傳 Merkle 樹的每一層雜湊，最後一層只有根；奇數個節點時最後一個與自己配對
+    static calculateMerkleTree(items) {
+        if (items.length === 0) {
+            return [[CryptoUtils.sha256('')]];
         }
 
-        let hashes = transactions.map(tx => CryptoUtils.sha256(tx));
+        let hashes = items.map(item => CryptoUtils.sha256(item));
+        const levels = [hashes];
 
         while (hashes.length > 1) {
             const newHashes = [];
@@ -132,9 +135,40 @@ class CryptoUtils {
             }
             
             hashes = newHashes;
+            levels.push(hashes);
+        }
+
+        return levels;
+    }
+
+    // 第 index 個項目的 Merkle 證明：由下往上每一層的兄弟節點雜湊
+    static getMerkleProof(levels, index) {
+        const proof = [];
+        for (const hashes of levels.slice(0, -1)) {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            proof.push(hashes[Math.min(sibling, hashes.length - 1)]);
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    }
+
+    // 以證明重新計算到根，count 為項目總數，證明的長度必須與樹的高度相同
+    static verifyMerkleProof(item, index, count, proof, root) {
+        let depth = 0;
+        for (let width = count; width > 1; width = Math.ceil(width / 2)) {
+            depth++;
+        }
+        if (!Array.isArray(proof) || proof.length !== depth || index < 0 || index >= count) {
+            return false;
         }
 
-        return hashes[0];
+        let hash = CryptoUtils.sha256(item);
+        for (const sibling of proof) {
+            if (typeof sibling !== 'string') return false;
+            hash = index % 2 === 0 ? CryptoUtils.sha256(hash + sibling) : CryptoUtils.sha256(sibling + hash);
+            index = Math.floor(index / 2);
+        }
+        return hash === root;
     }
 
     // 生成隨機 nonce
@@ -249,13 +283,79 @@ class CryptoUtils {
         return decoder.decode(decrypted);
     }
 
+    // 產生一次性的 ECDH 密鑰對，用於節點間交換工作階段金鑰
+    static async generateECDHKeyPair() {
+        return await window.crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        );
+    }
+
+    // 匯出 ECDH 公鑰（raw 格式）
+    static async exportECDHPublicKey(keyPair) {
+        return await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+    }
+
+    // 由 ECDH 共用密鑰以 HKDF 推導兩個方向各自的 AES-GCM 金鑰。
+    // encryptAES/decryptAES 直接以密碼字串作為金鑰，不適合用在這裡
+    static async deriveSessionKeys(privateKey, remotePublicKey, localId, remoteId, salt) {
+        const subtle = window.crypto.subtle;
+        const remoteKey = await subtle.importKey(
+            'raw',
+            remotePublicKey,
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+        const sharedSecret = await subtle.deriveBits({ name: 'ECDH', public: remoteKey }, privateKey, 256);
+        const hkdfKey = await subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+
+        const encoder = new TextEncoder();
+        const deriveKey = (info, usage) => subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(info) },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            [usage]
+        );
+
+        return {
+            sendKey: await deriveKey(`p2pme-session:${localId}:${remoteId}`, 'encrypt'),
+            receiveKey: await deriveKey(`p2pme-session:${remoteId}:${localId}`, 'decrypt')
+        };
+    }
+
+    // 以 CryptoKey 進行 AES-GCM 加密，iv 由呼叫端負責確保不重複
+    static async encryptWithKey(key, iv, data) {
+        return await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+    }
+
+    // 以 CryptoKey 進行 AES-GCM 解密，資料遭竄改時拋出錯誤
+    static async decryptWithKey(key, iv, data) {
+        return await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    }
+
     // 生成地址（基於公鑰）
     async generateAddress() {
         const publicKeyString = await this.getPublicKeyString();
+        return CryptoUtils.addressFromPublicKey(publicKeyString);
+    }
+
+    // 由公鑰字串推導地址，節點 ID 也使用相同規則
+    static addressFromPublicKey(publicKeyString) {
         const hash = CryptoUtils.sha256(publicKeyString);
         return hash.substring(0, 40); // 取前 40 個字符作為地址
     }
 
+    // 驗證簽名，並確認公鑰屬於指定的地址（節點 ID）
+    async verifySignatureFromAddress(data, signature, publicKeyString, address) {
+        if (CryptoUtils.addressFromPublicKey(publicKeyString) !== address) {
+            return false;
+        }
+        return await this.verifySignature(data, signature, publicKeyString);
+    }
+
     // 驗證地址格式
     static isValidAddress(address) {
         return /^[a-f0-9]{40}$/i.test(address);
@@ -7,9 +7,13 @@ class FileTransferManager {
         this.downloadProgress = new Map(); // fileId -> progress
         this.uploadProgress = new Map(); // fileId -> progress
         this.eventEmitter = Utils.createEventEmitter();
-        this.chunkSize = 64 * 1024; // 64KB chunks
+        this.chunkSize = FileTransferManager.CHUNK_SIZE;
         this.maxConcurrentTransfers = 3;
         this.activeTransfers = new Set();
+        this.activeDownloads = new Map(); // fileId -> 下載中的檔案，檔案塊保存在 chunkStore
+        this.chunkStore = new ChunkStore();
+        this.swarm = new SwarmScheduler();
+        this.flaggedPeers = new Set(); // 送來未通過驗證的檔案塊的節點，不再向它們要求檔案
 
         this.setupEventHandlers();
     }
@@ -18,22 +22,36 @@ class FileTransferManager {
         // 監聽網路事件
         this.networkManager.on('file-offer', this.handleFileOffer.bind(this));
         this.networkManager.on('file-request', this.handleFileRequest.bind(this));
+        this.networkManager.on('file-chunk', (data) => this.handleFileChunk(data.peerId, data));
+        this.networkManager.on('file-error', this.handleFileError.bind(this));
+        this.networkManager.on('file-have', this.handleFileHave.bind(this));
+        this.networkManager.on('file-unavailable', this.handleFileUnavailable.bind(this));
         this.networkManager.on('peer-connected', this.handlePeerConnected.bind(this));
         this.networkManager.on('peer-disconnected', this.handlePeerDisconnected.bind(this));
     }
 
-    // 分享檔案
+    // 分享檔案，檔案以內容位址識別，不同節點分享的相同檔案視為同一個
     async shareFile(file) {
         try {
-            const fileId = Utils.generateUUID();
-            const fileHash = await Utils.calculateFileHash(file);
+            if (file.size > FileTransferManager.MAX_FILE_SIZE) {
+                throw new Error(`檔案超過 ${Utils.formatFileSize(FileTransferManager.MAX_FILE_SIZE)} 的大小上限`);
+            }
+
+            // 以各檔案塊的雜湊建立 Merkle 樹，傳送檔案塊時附上證明，下載端可以逐塊驗證
+            const merkleTree = CryptoUtils.calculateMerkleTree(await this.calculateChunkHashes(file));
+            const merkleRoot = merkleTree[merkleTree.length - 1][0];
+            const fileId = FileTransferManager.calculateFileId(merkleRoot, file.size, this.chunkSize);
+            if (this.sharedFiles.has(fileId)) {
+                return fileId;
+            }
             
             const fileInfo = {
                 id: fileId,
                 name: file.name,
                 size: file.size,
                 type: file.type,
-                hash: fileHash,
+                merkleTree,
+                merkleRoot,
                 file: file,
                 sharedAt: Date.now(),
                 downloadCount: 0
@@ -72,42 +90,97 @@ class FileTransferManager {
     }
 
     // 廣播檔案提供
-    broadcastFileOffer(fileInfo) {
+    broadcastFileOffer(fileInfo, bitmap = null) {
+        this.networkManager.broadcast(this.buildFileOffer(fileInfo, bitmap));
+    }
+
+    // 下載中的節點附上已收到的檔案塊位元圖，其他下載者可以向它要求這些檔案塊
+    buildFileOffer(fileInfo, bitmap = null) {
         const offer = {
             type: 'file-offer',
             fileId: fileInfo.id,
             fileName: fileInfo.name,
             fileSize: fileInfo.size,
             fileType: fileInfo.type,
-            fileHash: fileInfo.hash,
+            merkleRoot: fileInfo.merkleRoot,
+            chunkSize: this.chunkSize,
             timestamp: Date.now()
         };
-
-        this.networkManager.broadcast(offer);
+        if (bitmap) {
+            offer.bitmap = this.arrayBufferToBase64(bitmap.bytes);
+        }
+        return offer;
     }
 
-    // 處理檔案提供
+    // 處理檔案提供，同一個檔案記錄所有擁有者。檔案 ID 由 Merkle 根、檔案大小與檔案塊大小推導，
+    // 與 ID 不符的提供一律忽略，因此無法以錯誤的 Merkle 根佔用別人的檔案。
+    // 檔案塊大小必須是協定的固定值、檔案大小不超過上限，位元圖與排程狀態的大小因此有上限
     handleFileOffer(data) {
-        const { peerId, fileId, fileName, fileSize, fileType, fileHash } = data;
+        const { peerId, fileId, fileName, fileSize, fileType, merkleRoot, chunkSize, bitmap } = data;
+
+        if (!Number.isInteger(fileSize) || fileSize < 0 || fileSize > FileTransferManager.MAX_FILE_SIZE ||
+            chunkSize !== this.chunkSize) {
+            this.log(`忽略 ${peerId} 的檔案提供: 檔案大小或檔案塊大小不符合協定`, 'warning');
+            return;
+        }
+        if (typeof merkleRoot !== 'string' ||
+            fileId !== FileTransferManager.calculateFileId(merkleRoot, fileSize, chunkSize)) {
+            this.log(`忽略 ${peerId} 的檔案提供: 檔案 ID 與 Merkle 根不符`, 'warning');
+            return;
+        }
         
-        // 檢查是否已經有這個檔案
-        if (this.availableFiles.has(fileId)) {
+        // 自己已經擁有完整檔案，或對方曾經送來無效的檔案塊
+        if (this.sharedFiles.has(fileId) || this.flaggedPeers.has(peerId)) {
             return;
         }
 
-        const fileInfo = {
+        let fileInfo = this.availableFiles.get(fileId);
+
+        // 位元圖為 null 表示對方擁有完整檔案
+        const totalChunks = Math.ceil(fileSize / chunkSize);
+        const source = bitmap ? new ChunkBitmap(totalChunks, this.base64ToArrayBuffer(bitmap)) : null;
+
+        if (fileInfo) {
+            fileInfo.peers.set(peerId, source);
+            this.eventEmitter.emit('file-peers-updated', fileInfo);
+
+            const downloadInfo = this.activeDownloads.get(fileId);
+            if (downloadInfo) {
+                this.swarm.addSource(downloadInfo, peerId, source);
+                this.scheduleDownload(downloadInfo);
+            }
+            return;
+        }
+
+        fileInfo = {
             id: fileId,
             name: fileName,
             size: fileSize,
             type: fileType,
-            hash: fileHash,
-            peerId: peerId,
+            merkleRoot,
+            chunkSize,
+            peers: new Map([[peerId, source]]), // peerId -> 對方擁有的檔案塊
             availableAt: Date.now()
         };
 
         this.availableFiles.set(fileId, fileInfo);
         this.eventEmitter.emit('file-available', fileInfo);
         this.log(`發現可下載檔案: ${fileName} 來自 ${peerId}`);
+
+        this.resumeDownload(fileId).catch(error => {
+            this.log(`繼續下載 ${fileName} 失敗: ${error.message}`, 'error');
+        });
+    }
+
+    // 有未完成的下載時（斷線或重新整理頁面後）自動繼續，只要求缺少的檔案塊
+    async resumeDownload(fileId) {
+        const saved = await this.chunkStore.getDownload(fileId);
+        if (!saved || this.activeTransfers.has(fileId) || !this.availableFiles.has(fileId)) {
+            return;
+        }
+
+        this.log(`繼續下載檔案: ${saved.fileName}`);
+        await this.requestFile(fileId);
     }
 
     // 請求下載檔案
@@ -117,41 +190,104 @@ class FileTransferManager {
             throw new Error('檔案不存在');
         }
 
+        if (this.activeDownloads.has(fileId)) {
+            return fileId;
+        }
+
         if (this.activeTransfers.size >= this.maxConcurrentTransfers) {
             throw new Error('達到最大同時傳輸數量限制');
         }
 
-        try {
-            this.activeTransfers.add(fileId);
-            this.downloadProgress.set(fileId, { received: 0, total: fileInfo.size });
-            
-            // 發送檔案請求
-            const success = this.networkManager.sendToPeer(fileInfo.peerId, {
+        this.activeTransfers.add(fileId);
+
+        const totalChunks = Math.ceil(fileInfo.size / fileInfo.chunkSize);
+        const downloadInfo = {
+            fileId,
+            fileName: fileInfo.name,
+            fileSize: fileInfo.size,
+            fileType: fileInfo.type,
+            merkleRoot: fileInfo.merkleRoot,
+            totalChunks,
+            chunkSize: fileInfo.chunkSize,
+            bitmap: new ChunkBitmap(totalChunks),
+            receivedBytes: 0,
+            requests: new Map(), // chunkIndex -> Map(peerId -> 要求時間)，由 SwarmScheduler 維護
+            swarm: null, // SwarmScheduler 的排程狀態
+            timer: null
+        };
+        this.activeDownloads.set(fileId, downloadInfo);
+        this.downloadProgress.set(fileId, { received: 0, total: fileInfo.size });
+
+        // 讀取暫存狀態時檔案塊可能已經開始送達，檔案塊的處理都排在 writes 之後依序進行
+        downloadInfo.writes = this.restoreDownload(downloadInfo)
+            .then(() => {
+                if (this.activeDownloads.get(fileId) !== downloadInfo) return;
+                // 讓其他下載者知道可以向這裡要求已經收到的檔案塊
+                this.broadcastFileOffer(fileInfo, downloadInfo.bitmap);
+                this.scheduleDownload(downloadInfo);
+            })
+            .catch(error => this.failDownload(downloadInfo, error));
+
+        this.eventEmitter.emit('download-started', { fileId, fileInfo });
+        this.log(`開始下載檔案: ${fileInfo.name}`);
+        
+        return fileId;
+    }
+
+    // 依各節點擁有的檔案塊分配要求，只向每個節點要求它擁有且還沒向其他節點要求過的檔案塊
+    scheduleDownload(downloadInfo) {
+        const { fileId } = downloadInfo;
+        const fileInfo = this.availableFiles.get(fileId);
+        if (this.activeDownloads.get(fileId) !== downloadInfo || !fileInfo || downloadInfo.bitmap.isComplete()) {
+            return;
+        }
+
+        // 經由 gossip 得知的擁有者離線時不會收到 peer-disconnected，要求連續多次逾時就不再向它要求
+        const unresponsive = this.swarm.expireRequests(downloadInfo);
+        if (unresponsive.length > 0) {
+            for (const peerId of unresponsive) {
+                this.log(`${peerId} 多次沒有回應 ${downloadInfo.fileName} 的檔案塊要求，移除這個檔案來源`, 'warning');
+                this.removeFileSource(fileId, peerId);
+            }
+            // removeFileSource 會重新排程；沒有其他擁有者時下載暫停
+            return;
+        }
+
+        const assignments = this.swarm.schedule(downloadInfo, fileInfo.peers);
+        for (const [peerId, chunkIndices] of assignments) {
+            const success = this.networkManager.sendToPeer(peerId, {
                 type: 'file-request',
                 fileId: fileId,
-                requesterId: this.networkManager.nodeId
+                requesterId: this.networkManager.nodeId,
+                ranges: ChunkBitmap.rangesFromIndices(chunkIndices.sort((a, b) => a - b))
             });
-
             if (!success) {
-                throw new Error('無法發送檔案請求');
+                this.swarm.releasePeer(downloadInfo, peerId);
             }
-
-            this.eventEmitter.emit('download-started', { fileId, fileInfo });
-            this.log(`開始下載檔案: ${fileInfo.name}`);
-            
-            return fileId;
-        } catch (error) {
-            this.activeTransfers.delete(fileId);
-            this.downloadProgress.delete(fileId);
-            throw error;
         }
+
+        // 沒有回應的要求逾時後改向其他節點要求
+        clearTimeout(downloadInfo.timer);
+        downloadInfo.timer = setTimeout(() => this.scheduleDownload(downloadInfo), this.swarm.requestTimeout);
     }
 
     // 處理檔案請求
     async handleFileRequest(data) {
-        const { peerId, fileId, requesterId } = data;
-        
+        const { peerId, fileId, requesterId, ranges } = data;
+        if (!Array.isArray(ranges)) {
+            this.log(`忽略來自 ${peerId} 未指定範圍的檔案請求`, 'warning');
+            return;
+        }
+
         const fileInfo = this.sharedFiles.get(fileId);
+        const downloadInfo = this.activeDownloads.get(fileId);
+        if (!fileInfo && downloadInfo) {
+            // 下載中的檔案，送出已經收到的部分
+            this.sendStoredChunks(peerId, downloadInfo, ranges).catch(error => {
+                this.log(`傳輸檔案塊失敗: ${error.message}`, 'error');
+            });
+            return;
+        }
         if (!fileInfo) {
             // 檔案不存在，發送錯誤回應
             this.networkManager.sendToPeer(peerId, {
@@ -163,8 +299,8 @@ class FileTransferManager {
         }
 
         try {
-            // 開始傳輸檔案
-            await this.sendFile(peerId, fileInfo);
+            // 開始傳輸檔案，ranges 為對方缺少的檔案塊範圍
+            await this.sendFile(peerId, fileInfo, ranges);
             fileInfo.downloadCount++;
             
         } catch (error) {
@@ -177,213 +313,404 @@ class FileTransferManager {
         }
     }
 
-    // 發送檔案
-    async sendFile(peerId, fileInfo) {
+    // 發送檔案中 ranges（[{ start, end }]）範圍內的檔案塊
+    async sendFile(peerId, fileInfo, ranges) {
         const { file, id: fileId } = fileInfo;
         const totalChunks = Math.ceil(file.size / this.chunkSize);
+        const chunkIndices = ChunkBitmap.indicesFromRanges(ranges, totalChunks);
+        const totalBytes = chunkIndices.reduce(
+            (sum, chunkIndex) => sum + Math.min(this.chunkSize, file.size - chunkIndex * this.chunkSize),
+            0
+        );
         
-        this.uploadProgress.set(fileId, { sent: 0, total: file.size });
+        // 同一個檔案可能同時傳給多個節點，各自記錄進度
+        const progress = { sent: 0, total: totalBytes };
+        this.uploadProgress.set(fileId, progress);
         this.eventEmitter.emit('upload-started', { fileId, peerId, fileInfo });
         
         try {
-            // 發送檔案元資料
-            this.networkManager.sendToPeer(peerId, {
-                type: 'file-metadata',
-                fileId: fileId,
-                fileName: file.name,
-                fileSize: file.size,
-                fileType: file.type,
-                totalChunks: totalChunks,
-                chunkSize: this.chunkSize
-            });
-
-            // 分塊發送檔案
-            for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+            // 分塊發送檔案，對方已從檔案提供得知檔案資訊
+            for (const chunkIndex of chunkIndices) {
                 const start = chunkIndex * this.chunkSize;
                 const end = Math.min(start + this.chunkSize, file.size);
                 const chunk = file.slice(start, end);
                 
                 const chunkData = await this.fileToArrayBuffer(chunk);
-                const chunkBase64 = this.arrayBufferToBase64(chunkData);
                 
-                const success = this.networkManager.sendToPeer(peerId, {
+                // 檔案塊以二進位分框傳送，不經過 Base64 與 JSON；
+                // 資料通道緩衝超過上限時在這裡等待，依連線速度送出
+                await this.networkManager.sendWithBackpressure(peerId, {
                     type: 'file-chunk',
                     fileId: fileId,
                     chunkIndex: chunkIndex,
-                    chunkData: chunkBase64,
-                    isLastChunk: chunkIndex === totalChunks - 1
-                });
-
-                if (!success) {
-                    throw new Error('發送檔案塊失敗');
-                }
+                    isLastChunk: chunkIndex === totalChunks - 1,
+                    proof: CryptoUtils.getMerkleProof(fileInfo.merkleTree, chunkIndex)
+                }, chunkData);
 
                 // 更新上傳進度
-                const progress = this.uploadProgress.get(fileId);
-                progress.sent = end;
+                progress.sent += end - start;
                 this.eventEmitter.emit('upload-progress', {
                     fileId,
                     progress: (progress.sent / progress.total) * 100,
                     sent: progress.sent,
                     total: progress.total
                 });
-
-                // 添加小延遲避免網路擁塞
-                if (chunkIndex % 10 === 0) {
-                    await Utils.sleep(10);
-                }
             }
 
-            this.uploadProgress.delete(fileId);
+            this.clearUploadProgress(fileId, progress);
             this.eventEmitter.emit('upload-completed', { fileId, peerId, fileInfo });
             this.log(`檔案上傳完成: ${fileInfo.name} 到 ${peerId}`);
             
         } catch (error) {
-            this.uploadProgress.delete(fileId);
+            this.clearUploadProgress(fileId, progress);
             this.eventEmitter.emit('upload-failed', { fileId, peerId, error });
             throw error;
         }
     }
 
-    // 處理檔案元資料
-    handleFileMetadata(peerId, data) {
-        const { fileId, fileName, fileSize, fileType, totalChunks, chunkSize } = data;
-        
-        const downloadInfo = {
-            fileId,
-            fileName,
-            fileSize,
-            fileType,
-            totalChunks,
-            chunkSize,
-            receivedChunks: new Map(),
-            peerId
-        };
+    clearUploadProgress(fileId, progress) {
+        if (this.uploadProgress.get(fileId) === progress) {
+            this.uploadProgress.delete(fileId);
+        }
+    }
 
-        this.activeDownloads = this.activeDownloads || new Map();
-        this.activeDownloads.set(fileId, downloadInfo);
-        
+    // 從下載暫存送出對方要求且自己已經收到的檔案塊，下載中的節點同時也是其他節點的來源
+    async sendStoredChunks(peerId, downloadInfo, ranges) {
+        const { fileId, totalChunks, bitmap } = downloadInfo;
+        const chunkIndices = ChunkBitmap.indicesFromRanges(ranges, totalChunks).filter(chunkIndex => bitmap.has(chunkIndex));
+
+        for (const chunkIndex of chunkIndices) {
+            // 位元圖先於寫入更新，還沒寫入的檔案塊由對方逾時後重新要求
+            const chunk = await this.chunkStore.getChunk(fileId, chunkIndex);
+            if (!chunk) continue;
+
+            await this.networkManager.sendWithBackpressure(peerId, {
+                type: 'file-chunk',
+                fileId: fileId,
+                chunkIndex: chunkIndex,
+                isLastChunk: chunkIndex === totalChunks - 1,
+                proof: chunk.proof || undefined
+            }, chunk.data);
+        }
+    }
+
+    // 載入之前保存的位元圖，檔案已經改變時重新下載
+    async restoreDownload(downloadInfo) {
+        const { fileId, fileSize, merkleRoot, totalChunks, chunkSize } = downloadInfo;
+
+        let saved = await this.chunkStore.getDownload(fileId);
+        if (saved && (saved.fileSize !== fileSize || saved.merkleRoot !== merkleRoot ||
+            saved.totalChunks !== totalChunks || saved.chunkSize !== chunkSize)) {
+            await this.chunkStore.deleteDownload(fileId);
+            saved = null;
+        }
+        if (saved) {
+            downloadInfo.bitmap = new ChunkBitmap(totalChunks, saved.bitmap);
+            this.swarm.reset(downloadInfo);
+            downloadInfo.receivedBytes = saved.receivedBytes;
+
+            const progress = this.downloadProgress.get(fileId);
+            if (progress) {
+                progress.received = saved.receivedBytes;
+            }
+        }
+
+        await this.chunkStore.saveDownload(this.toDownloadRecord(downloadInfo));
         this.eventEmitter.emit('download-metadata', downloadInfo);
+
+        // 空檔案或之前已收齊所有檔案塊
+        if (downloadInfo.bitmap.isComplete()) {
+            await this.assembleFile(downloadInfo);
+        }
     }
 
     // 處理檔案塊
-    async handleFileChunk(peerId, data) {
-        const { fileId, chunkIndex, chunkData, isLastChunk } = data;
+    handleFileChunk(peerId, data) {
+        const { fileId, chunkIndex, chunkData, proof } = data;
         
-        const downloadInfo = this.activeDownloads?.get(fileId);
+        const downloadInfo = this.activeDownloads.get(fileId);
         if (!downloadInfo) {
             this.log(`收到未知檔案的塊: ${fileId}`, 'warning');
             return;
         }
 
-        try {
-            // 解碼並儲存塊
-            const chunkBuffer = this.base64ToArrayBuffer(chunkData);
-            downloadInfo.receivedChunks.set(chunkIndex, chunkBuffer);
-            
-            // 更新下載進度
-            const progress = this.downloadProgress.get(fileId);
-            if (progress) {
-                progress.received += chunkBuffer.byteLength;
-                this.eventEmitter.emit('download-progress', {
-                    fileId,
-                    progress: (progress.received / progress.total) * 100,
-                    received: progress.received,
-                    total: progress.total
+        downloadInfo.writes = downloadInfo.writes
+            .then(() => this.storeChunk(downloadInfo, peerId, chunkIndex, chunkData, proof))
+            .catch(error => this.failDownload(downloadInfo, error));
+    }
+
+    // 驗證並保存檔案塊、更新位元圖，收齊後組裝檔案
+    async storeChunk(downloadInfo, peerId, chunkIndex, chunkBuffer, proof) {
+        const { fileId } = downloadInfo;
+        // 下載已取消、暫停或失敗
+        if (this.activeDownloads.get(fileId) !== downloadInfo) return;
+
+        // endgame 時同一個檔案塊會向多個節點要求，較晚送達的直接丟棄；已標記的節點還在傳送中的檔案塊也不再處理
+        if ((chunkBuffer && downloadInfo.bitmap.has(chunkIndex)) || this.flaggedPeers.has(peerId)) return;
+        if (!chunkBuffer || !Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= downloadInfo.totalChunks) {
+            this.log(`忽略無效的檔案塊: ${fileId} #${chunkIndex}`, 'warning');
+            return;
+        }
+
+        if (!CryptoUtils.verifyMerkleProof(
+            CryptoUtils.sha256(chunkBuffer), chunkIndex, downloadInfo.totalChunks, proof, downloadInfo.merkleRoot
+        )) {
+            this.flagPeer(peerId, downloadInfo, chunkIndex);
+            return;
+        }
+
+        downloadInfo.bitmap.set(chunkIndex);
+        this.swarm.complete(downloadInfo, chunkIndex, peerId);
+        downloadInfo.receivedBytes += chunkBuffer.byteLength;
+        await this.chunkStore.putChunk(this.toDownloadRecord(downloadInfo), chunkIndex, chunkBuffer, proof || null);
+        this.announceChunk(downloadInfo, chunkIndex);
+        
+        // 更新下載進度
+        const progress = this.downloadProgress.get(fileId);
+        if (progress) {
+            progress.received = downloadInfo.receivedBytes;
+            this.eventEmitter.emit('download-progress', {
+                fileId,
+                progress: (progress.received / progress.total) * 100,
+                received: progress.received,
+                total: progress.total
+            });
+        }
+
+        // 檢查是否所有塊都已接收
+        if (downloadInfo.bitmap.isComplete()) {
+            await this.assembleFile(downloadInfo);
+        } else {
+            this.scheduleDownload(downloadInfo);
+        }
+    }
+
+    // 通知其他下載中的節點可以向這裡要求這個檔案塊；擁有完整檔案的節點不需要
+    announceChunk(downloadInfo, chunkIndex) {
+        const fileInfo = this.availableFiles.get(downloadInfo.fileId);
+        if (!fileInfo) return;
+
+        for (const [peerId, bitmap] of fileInfo.peers) {
+            if (bitmap) {
+                this.networkManager.sendToPeer(peerId, {
+                    type: 'file-have',
+                    fileId: downloadInfo.fileId,
+                    chunkIndex
                 });
             }
+        }
+    }
+
+    // 保存到 chunkStore 的下載紀錄
+    toDownloadRecord(downloadInfo) {
+        const { fileId, fileName, fileSize, fileType, merkleRoot, totalChunks, chunkSize, receivedBytes } = downloadInfo;
+        return {
+            fileId,
+            fileName,
+            fileSize,
+            fileType,
+            merkleRoot,
+            totalChunks,
+            chunkSize,
+            receivedBytes,
+            bitmap: downloadInfo.bitmap.bytes.slice()
+        };
+    }
+
+    failDownload(downloadInfo, error) {
+        const { fileId } = downloadInfo;
+        if (this.activeDownloads.get(fileId) !== downloadInfo) return;
+
+        this.log(`處理檔案塊失敗: ${error.message}`, 'error');
+        this.stopDownload(downloadInfo);
+        this.eventEmitter.emit('download-failed', { fileId, error });
+    }
+
+    // 下載結束、暫停或取消時清除狀態，已保存的檔案塊由呼叫端決定是否保留
+    stopDownload(downloadInfo) {
+        const { fileId } = downloadInfo;
+        clearTimeout(downloadInfo.timer);
+        this.activeDownloads.delete(fileId);
+        this.activeTransfers.delete(fileId);
+        this.downloadProgress.delete(fileId);
+    }
+
+    // 檔案塊未通過驗證：不再信任送來的節點，這個檔案塊改向其他擁有者要求
+    flagPeer(peerId, downloadInfo, chunkIndex) {
+        const { fileId } = downloadInfo;
+        this.log(`${peerId} 送來的檔案塊 ${downloadInfo.fileName} #${chunkIndex} 驗證失敗`, 'warning');
+
+        this.flaggedPeers.add(peerId);
+        this.eventEmitter.emit('peer-flagged', { peerId, fileId, chunkIndex });
+        this.removeFileSource(fileId, peerId);
+    }
+
+    // 處理對方回報的傳輸錯誤，改向其他擁有者要求
+    handleFileError(data) {
+        const { peerId, fileId, error } = data;
+        this.log(`${peerId} 回報檔案傳輸錯誤: ${error}`, 'error');
+        this.removeFileSource(fileId, peerId);
+    }
 
-            // 檢查是否所有塊都已接收
-            if (downloadInfo.receivedChunks.size === downloadInfo.totalChunks) {
-                await this.assembleFile(downloadInfo);
+    // 其他下載中的節點收到新的檔案塊
+    handleFileHave(data) {
+        const { peerId, fileId, chunkIndex } = data;
+        const fileInfo = this.availableFiles.get(fileId);
+        const bitmap = fileInfo ? fileInfo.peers.get(peerId) : null;
+        if (!bitmap || !bitmap.set(chunkIndex)) return;
+
+        const downloadInfo = this.activeDownloads.get(fileId);
+        if (downloadInfo) {
+            this.swarm.addHolding(downloadInfo, peerId, chunkIndex);
+            this.scheduleDownload(downloadInfo);
+        }
+    }
+
+    handleFileUnavailable(data) {
+        this.removeFileSource(data.fileId, data.peerId);
+    }
+
+    // 節點不再提供檔案時交由其他擁有者傳送；沒有任何擁有者時移除檔案並暫停下載，
+    // 已收到的檔案塊仍保存著，有節點重新分享檔案時從中斷處繼續
+    removeFileSource(fileId, peerId) {
+        const fileInfo = this.availableFiles.get(fileId);
+        if (!fileInfo || !fileInfo.peers.delete(peerId)) return;
+
+        const downloadInfo = this.activeDownloads.get(fileId);
+        if (fileInfo.peers.size > 0) {
+            this.eventEmitter.emit('file-peers-updated', fileInfo);
+            if (downloadInfo) {
+                this.swarm.removeSource(downloadInfo, peerId);
+                this.scheduleDownload(downloadInfo);
             }
-            
-        } catch (error) {
-            this.log(`處理檔案塊失敗: ${error.message}`, 'error');
-            this.eventEmitter.emit('download-failed', { fileId, error });
+            return;
+        }
+
+        this.availableFiles.delete(fileId);
+        this.eventEmitter.emit('file-unavailable', fileInfo);
+
+        if (downloadInfo) {
+            this.stopDownload(downloadInfo);
+            this.eventEmitter.emit('download-paused', { fileId, fileInfo });
+            this.log(`下載已暫停: ${fileInfo.name}`, 'warning');
         }
     }
 
     // 組裝檔案
     async assembleFile(downloadInfo) {
-        const { fileId, fileName, fileType, receivedChunks, totalChunks } = downloadInfo;
+        const { fileId, fileName, fileType, merkleRoot, totalChunks } = downloadInfo;
         
         try {
             // 按順序組裝所有塊
+            const storedChunks = await this.chunkStore.getChunks(fileId);
             const chunks = [];
             for (let i = 0; i < totalChunks; i++) {
-                const chunk = receivedChunks.get(i);
-                if (!chunk) {
+                const chunk = storedChunks[i];
+                if (!chunk || chunk.chunkIndex !== i) {
                     throw new Error(`缺少檔案塊 ${i}`);
                 }
-                chunks.push(chunk);
+                chunks.push(chunk.data);
             }
 
             // 創建完整檔案
             const fileBlob = new Blob(chunks, { type: fileType });
             const file = new File([fileBlob], fileName, { type: fileType });
+
+            // 檔案塊來自多個節點，確認組裝結果的 Merkle 根與檔案 ID 相符
+            const merkleTree = CryptoUtils.calculateMerkleTree(chunks.map(chunk => CryptoUtils.sha256(chunk)));
+            if (merkleTree[merkleTree.length - 1][0] !== merkleRoot) {
+                throw new Error('檔案 Merkle 根不符');
+            }
             
             // 清理
-            this.activeDownloads?.delete(fileId);
-            this.activeTransfers.delete(fileId);
-            this.downloadProgress.delete(fileId);
+            this.stopDownload(downloadInfo);
+            await this.chunkStore.deleteDownload(fileId);
             
             this.eventEmitter.emit('download-completed', { fileId, file, downloadInfo });
             this.log(`檔案下載完成: ${fileName}`);
+
+            this.seedFile(downloadInfo, file, merkleTree);
             
             // 自動下載檔案
             Utils.downloadFile(file, fileName);
             
         } catch (error) {
             this.log(`組裝檔案失敗: ${error.message}`, 'error');
+            this.stopDownload(downloadInfo);
+            await this.chunkStore.deleteDownload(fileId).catch(() => {});
             this.eventEmitter.emit('download-failed', { fileId, error });
         }
     }
 
+    // 下載完成的檔案繼續分享給其他節點
+    seedFile(downloadInfo, file, merkleTree) {
+        const { fileId } = downloadInfo;
+        const fileInfo = {
+            id: fileId,
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            merkleTree,
+            merkleRoot: merkleTree[merkleTree.length - 1][0],
+            file: file,
+            sharedAt: Date.now(),
+            downloadCount: 0
+        };
+
+        this.availableFiles.delete(fileId);
+        this.sharedFiles.set(fileId, fileInfo);
+        this.broadcastFileOffer(fileInfo);
+        this.eventEmitter.emit('file-shared', fileInfo);
+    }
+
     // 處理節點連接
     handlePeerConnected(peerId) {
         // 向新連接的節點廣播我們的檔案
         for (const fileInfo of this.sharedFiles.values()) {
-            this.networkManager.sendToPeer(peerId, {
-                type: 'file-offer',
-                fileId: fileInfo.id,
-                fileName: fileInfo.name,
-                fileSize: fileInfo.size,
-                fileType: fileInfo.type,
-                fileHash: fileInfo.hash,
-                timestamp: Date.now()
-            });
+            this.networkManager.sendToPeer(peerId, this.buildFileOffer(fileInfo));
+        }
+
+        // 下載中的檔案也提供已經收到的部分
+        for (const downloadInfo of this.activeDownloads.values()) {
+            const fileInfo = this.availableFiles.get(downloadInfo.fileId);
+            if (fileInfo) {
+                this.networkManager.sendToPeer(peerId, this.buildFileOffer(fileInfo, downloadInfo.bitmap));
+            }
         }
     }
 
     // 處理節點斷開
     handlePeerDisconnected(peerId) {
-        // 移除來自該節點的檔案
-        const filesToRemove = [];
-        for (const [fileId, fileInfo] of this.availableFiles) {
-            if (fileInfo.peerId === peerId) {
-                filesToRemove.push(fileId);
+        // 移除該節點提供的檔案來源
+        let removed = 0;
+        for (const [fileId, fileInfo] of Array.from(this.availableFiles)) {
+            if (fileInfo.peers.has(peerId)) {
+                this.removeFileSource(fileId, peerId);
+                removed++;
             }
         }
 
-        for (const fileId of filesToRemove) {
-            const fileInfo = this.availableFiles.get(fileId);
-            this.availableFiles.delete(fileId);
-            this.eventEmitter.emit('file-unavailable', fileInfo);
-        }
-
-        if (filesToRemove.length > 0) {
-            this.log(`移除 ${filesToRemove.length} 個來自 ${peerId} 的檔案`);
+        if (removed > 0) {
+            this.log(`移除 ${removed} 個來自 ${peerId} 的檔案來源`);
         }
     }
 
     // 取消下載
     cancelDownload(fileId) {
-        const downloadInfo = this.activeDownloads?.get(fileId);
+        const downloadInfo = this.activeDownloads.get(fileId);
         if (downloadInfo) {
-            this.activeDownloads.delete(fileId);
-            this.activeTransfers.delete(fileId);
-            this.downloadProgress.delete(fileId);
+            this.stopDownload(downloadInfo);
+
+            // 其他下載者不再向這裡要求檔案塊
+            this.networkManager.broadcast({
+                type: 'file-unavailable',
+                fileId: fileId
+            });
+
+            // 等寫入中的檔案塊完成後再刪除暫存，取消的下載不會再繼續
+            downloadInfo.writes
+                .then(() => this.chunkStore.deleteDownload(fileId))
+                .catch(error => this.log(`刪除下載暫存失敗: ${error.message}`, 'error'));
             
             this.eventEmitter.emit('download-cancelled', { fileId, downloadInfo });
             this.log(`取消下載: ${downloadInfo.fileName}`);
@@ -407,12 +734,30 @@ class FileTransferManager {
             maxConcurrentTransfers: this.maxConcurrentTransfers,
             sharedFiles: this.sharedFiles.size,
             availableFiles: this.availableFiles.size,
+            flaggedPeers: this.flaggedPeers.size,
             downloadProgress: Object.fromEntries(this.downloadProgress),
             uploadProgress: Object.fromEntries(this.uploadProgress)
         };
     }
 
     // 工具方法
+
+    // 檔案的內容位址：Merkle 根只涵蓋各檔案塊的雜湊，一併納入檔案大小與檔案塊大小，
+    // 檔案塊數量與切分方式也不能被竄改
+    static calculateFileId(merkleRoot, fileSize, chunkSize) {
+        return CryptoUtils.sha256(`${merkleRoot}:${fileSize}:${chunkSize}`);
+    }
+
+    // 各檔案塊內容的 SHA-256 雜湊，作為 Merkle 樹的葉節點
+    async calculateChunkHashes(file) {
+        const hashes = [];
+        for (let start = 0; start < file.size; start += this.chunkSize) {
+            const chunkData = await this.fileToArrayBuffer(file.slice(start, start + this.chunkSize));
+            hashes.push(CryptoUtils.sha256(chunkData));
+        }
+        return hashes;
+    }
+
     async fileToArrayBuffer(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -459,5 +804,11 @@ class FileTransferManager {
     }
 }
 
+// 協定固定的檔案塊大小，file-offer 的 chunkSize 必須與它相同
+FileTransferManager.CHUNK_SIZE = 64 * 1024;
+
+// 分享與下載的檔案大小上限（約 65536 個檔案塊），下載完成時所有檔案塊會一起組裝成檔案
+FileTransferManager.MAX_FILE_SIZE = 4 * 1024 * 1024 * 1024;
+
 // 導出檔案傳輸管理器
 window.FileTransferManager = FileTransferManager;
\ No newline at end of file
@@ -0,0 +1,68 @@
+// 身分密鑰保存模組 - 以 IndexedDB 保存節點的 ECDSA 密鑰對，重新整理頁面後沿用同一個節點 ID。
+// 私鑰是不可匯出的 CryptoKey，直接以結構化複製存入資料庫，頁面腳本無法讀出私鑰內容
+class IdentityStore {
+    constructor(dbName = IdentityStore.DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+        this.opening = null;
+        this.memory = null; // 無法使用 IndexedDB 時改存在記憶體，重新整理頁面後會產生新的身分
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = IndexedStore.open(this.dbName, 1, (db) => {
+                db.createObjectStore('keys', { keyPath: 'id' });
+            }).then((db) => {
+                this.db = db;
+            }).catch(error => this.useMemory(error.message));
+        }
+        return this.opening;
+    }
+
+    useMemory(reason) {
+        console.warn(`${reason}，身分密鑰只保存在記憶體中`);
+        this.memory = new Map();
+    }
+
+    // 回傳已保存的 { privateKey, publicKey }，尚未保存過時回傳 null
+    async load() {
+        await this.open();
+        const record = this.memory
+            ? this.memory.get(IdentityStore.KEY_ID)
+            : await IndexedStore.promisify(
+                this.db.transaction('keys', 'readonly').objectStore('keys').get(IdentityStore.KEY_ID)
+            );
+        return record ? { privateKey: record.privateKey, publicKey: record.publicKey } : null;
+    }
+
+    async save(keyPair) {
+        await this.open();
+        const record = { id: IdentityStore.KEY_ID, privateKey: keyPair.privateKey, publicKey: keyPair.publicKey };
+        if (this.memory) {
+            this.memory.set(IdentityStore.KEY_ID, record);
+            return;
+        }
+
+        const transaction = this.db.transaction('keys', 'readwrite');
+        transaction.objectStore('keys').put(record);
+        await IndexedStore.complete(transaction);
+    }
+
+    async clear() {
+        await this.open();
+        if (this.memory) {
+            this.memory.delete(IdentityStore.KEY_ID);
+            return;
+        }
+
+        const transaction = this.db.transaction('keys', 'readwrite');
+        transaction.objectStore('keys').delete(IdentityStore.KEY_ID);
+        await IndexedStore.complete(transaction);
+    }
+}
+
+IdentityStore.DB_NAME = 'p2pme-identity';
+IdentityStore.KEY_ID = 'node';
+
+// 導出身分密鑰保存
+window.IdentityStore = IdentityStore;
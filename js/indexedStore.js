@@ -0,0 +1,36 @@
+// IndexedDB 共用工具 - 開啟資料庫，並把請求與交易包成 Promise，供 ChunkStore 與 IdentityStore 使用
+class IndexedStore {
+    // upgrade(db) 在第一次建立或升級資料庫時建立物件存放區。
+    // 瀏覽器不支援或無法開啟 IndexedDB（例如隱私瀏覽模式）時 reject，由呼叫端改存在記憶體
+    static open(dbName, version, upgrade) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('瀏覽器不支援 IndexedDB'));
+                return;
+            }
+
+            const request = indexedDB.open(dbName, version);
+            request.onupgradeneeded = () => upgrade(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(request.error ? request.error.message : '無法開啟 IndexedDB'));
+        });
+    }
+
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('交易已中止'));
+        });
+    }
+}
+
+// 導出 IndexedDB 共用工具
+window.IndexedStore = IndexedStore;
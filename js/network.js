@@ -1,22 +1,66 @@
 // 網路管理模組
 class NetworkManager {
-    constructor() {
-        this.nodeId = Utils.generateId(16);
+    // options.iceServers: RTCIceServer 陣列，可包含帶 username/credential 的 TURN 伺服器
+    // options.signalingUrls: 信令伺服器端點列表（ws:// 或 wss://），見 loadSignalingUrls()
+    // options.topology: { maxPeers, maxConnections, strategy }，見 PeerTopology
+    // options.gossipTtl: 廣播訊息最多轉發的跳數
+    // options.scheduler: { highWaterMark, bulkHighWaterMark }，見 SendScheduler
+    constructor(options = {}) {
+        this.identity = new CryptoUtils(); // 節點身分密鑰
+        this.identityStore = new IdentityStore(); // 保存身分密鑰，重新整理頁面後沿用同一個節點 ID
+        this.publicKey = null;
+        this.nodeId = null; // 由公鑰推導，見 initializeIdentity()
+        this.roomId = 'default'; // 信令伺服器上的房間，只會與同房間的節點連線
+        this.roomCredentials = {}; // 受保護房間的 { password } 或 { token }
+        this.resumeToken = null; // 信令伺服器發放，短暫斷線後重新註冊時用來保留原本的位置
         this.peers = new Map();
+        this.knownPeers = new Set(); // 信令伺服器回報的同房間節點，不一定有直接連線
+        this.unreachablePeers = new Map(); // peerId -> 暫時不再嘗試連線的截止時間
+        this.topology = new PeerTopology(options.topology);
+        this.peerConnectTimeout = 15000;
+        this.gossipTtl = options.gossipTtl || 6;
+        this.seenMessages = new Map(); // 已處理過的廣播訊息 ID -> 紀錄到期時間
+        this.seenMessageTtl = 5 * 60 * 1000;
+        this.maxSeenMessages = 5000;
+        this.gossipStats = { originated: 0, forwarded: 0, duplicates: 0 };
+        this.routes = new Map(); // 目標節點 -> { nextHop, expiresAt }，從收到的廣播與轉發訊息學習
+        this.routeLifetime = 2 * 60 * 1000;
+        this.routeDiscoveryTimeout = 5000;
+        this.routedAckTimeout = 10000;
+        this.routeDiscoveries = new Map(); // 目標節點 -> 等待中的路由探索 Promise
+        this.pendingAcks = new Map(); // 轉發訊息 ID -> { resolve, reject, timer }
+        this.manualOffer = null; // 手動配對中等待對方回覆的連線
+        this.bulkChannels = new WeakMap(); // SimplePeer -> 傳送檔案資料的 RTCDataChannel
+        this.sessions = new Map(); // peerId -> PeerSession，端對端加密的工作階段
+        this.keyExchangeTimeout = 10000;
+        this.scheduler = new SendScheduler({
+            ...options.scheduler,
+            getChannel: this.getChannel.bind(this),
+            onError: (peerId, error) => this.log(`發送訊息給 ${peerId} 失敗: ${error.message}`, 'error')
+        });
         this.isRunning = false;
         this.eventEmitter = Utils.createEventEmitter();
         this.signalingServer = null;
+        this.signalingUrls = NetworkManager.loadSignalingUrls(options.signalingUrls);
+        this.signalingIndex = 0; // 目前使用的端點
+        this.reconnectAttempts = 0;
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = 30000;
+        this.reconnectTimer = null;
         this.messageHandlers = new Map();
         this.connectionAttempts = new Map();
+        this.pendingCandidates = new Map(); // peerId -> 尚未套用的 ICE candidate
+        this.remoteDescriptions = new Set(); // 已設定遠端描述的 peerId
         this.maxRetries = 3;
         
         // WebRTC 配置
+        this.iceServers = options.iceServers || [
+            { urls: 'stun:stun.l.google.com:19302' },
+            { urls: 'stun:stun1.l.google.com:19302' },
+            { urls: 'stun:stun2.l.google.com:19302' }
+        ];
         this.rtcConfig = {
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' },
-                { urls: 'stun:stun2.l.google.com:19302' }
-            ]
+            iceServers: this.iceServers
         };
 
         this.setupMessageHandlers();
@@ -26,10 +70,20 @@ class NetworkManager {
     setupMessageHandlers() {
         this.messageHandlers.set('file-offer', this.handleFileOffer.bind(this));
         this.messageHandlers.set('file-request', this.handleFileRequest.bind(this));
+        this.messageHandlers.set('file-chunk', this.handleFileChunk.bind(this));
+        this.messageHandlers.set('file-error', this.handleFileError.bind(this));
+        this.messageHandlers.set('file-have', this.handleFileHave.bind(this));
+        this.messageHandlers.set('file-unavailable', this.handleFileUnavailable.bind(this));
         this.messageHandlers.set('transaction', this.handleTransaction.bind(this));
         this.messageHandlers.set('block', this.handleBlock.bind(this));
         this.messageHandlers.set('blockchain-sync', this.handleBlockchainSync.bind(this));
         this.messageHandlers.set('peer-list', this.handlePeerList.bind(this));
+        this.messageHandlers.set('routed', this.handleRoutedMessage.bind(this));
+        this.messageHandlers.set('route-request', this.handleRouteRequest.bind(this));
+        this.messageHandlers.set('route-reply', this.handleRouteReply.bind(this));
+        this.messageHandlers.set('route-ack', this.handleRouteAck.bind(this));
+        this.messageHandlers.set('relay-signal', this.handleRelaySignal.bind(this));
+        this.messageHandlers.set('key-exchange', this.handleKeyExchange.bind(this));
         this.messageHandlers.set('ping', this.handlePing.bind(this));
         this.messageHandlers.set('pong', this.handlePong.bind(this));
     }
@@ -40,13 +94,27 @@ class NetworkManager {
 
         try {
             this.log('正在啟動節點...', 'info');
+
+            if (!this.publicKey) {
+                await this.initializeIdentity();
+            }
             
-            // 連接到信令伺服器
-            await this.connectToSignalingServer();
+            // 連接到信令伺服器，無法連線時節點仍會啟動，可改用手動配對
+            let signalingError = null;
+            try {
+                await this.connectToAnySignalingServer();
+            } catch (error) {
+                signalingError = error;
+            }
             
             this.isRunning = true;
             this.eventEmitter.emit('node-started');
             this.log(`節點已啟動，ID: ${this.nodeId}`, 'info');
+
+            if (signalingError) {
+                this.log(`${signalingError.message}，可使用手動配對連線，稍後將重試`, 'warning');
+                this.scheduleReconnect();
+            }
             
             // 開始心跳檢測
             this.startHeartbeat();
@@ -57,11 +125,46 @@ class NetworkManager {
         }
     }
 
+    // 初始化節點身分，節點 ID 為公鑰的地址；優先沿用已保存的密鑰對，沒有時才產生新的並保存
+    async initializeIdentity() {
+        if (!this.identity.keyPair) {
+            try {
+                this.identity.keyPair = await this.identityStore.load();
+            } catch (error) {
+                this.log(`讀取已保存的身分密鑰失敗: ${error.message}`, 'warning');
+            }
+        }
+        if (!this.identity.keyPair) {
+            await this.identity.generateKeyPair();
+            try {
+                await this.identityStore.save(this.identity.keyPair);
+            } catch (error) {
+                this.log(`保存身分密鑰失敗，重新整理頁面後節點 ID 會改變: ${error.message}`, 'warning');
+            }
+        }
+        this.publicKey = await this.identity.getPublicKeyString();
+        this.nodeId = CryptoUtils.addressFromPublicKey(this.publicKey);
+        return this.nodeId;
+    }
+
     // 停止節點
     async stopNode() {
         if (!this.isRunning) return;
 
         this.log('正在停止節點...', 'info');
+        this.knownPeers.clear();
+        this.routes.clear();
+        this.cancelManualOffer();
+        for (const [messageId, pending] of this.pendingAcks) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('節點已停止'));
+        }
+        this.pendingAcks.clear();
+        this.scheduler.clearAll();
+        for (const session of this.sessions.values()) {
+            session.fail(new Error('節點已停止'));
+        }
+        this.sessions.clear();
         
         // 關閉所有連線
         for (const [peerId, peer] of this.peers) {
@@ -69,65 +172,183 @@ class NetworkManager {
         }
 
         // 關閉信令伺服器連線
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
         if (this.signalingServer) {
-            this.signalingServer.close();
+            const signalingServer = this.signalingServer;
             this.signalingServer = null;
+            // 正常關閉讓伺服器立即通知其他節點，而不是保留位置等待恢復
+            signalingServer.close(1000, 'Node stopped');
         }
+        this.resumeToken = null;
 
         this.isRunning = false;
         this.eventEmitter.emit('node-stopped');
         this.log('節點已停止', 'info');
     }
 
-    // 連接到信令伺服器
+    // 依序嘗試每個信令伺服器端點，直到其中一個連線成功
+    async connectToAnySignalingServer() {
+        for (let i = 0; i < this.signalingUrls.length; i++) {
+            try {
+                await this.connectToSignalingServer();
+                return;
+            } catch (error) {
+                this.log(`無法連接到 ${this.signalingUrls[this.signalingIndex]}: ${error.message || '連線錯誤'}`, 'warning');
+                this.signalingIndex = (this.signalingIndex + 1) % this.signalingUrls.length;
+            }
+        }
+        throw new Error('無法連接到任何信令伺服器');
+    }
+
+    // 連接到目前的信令伺服器端點
     async connectToSignalingServer() {
         return new Promise((resolve, reject) => {
-            // 使用 WebSocket 連接到本地信令伺服器
-            const wsUrl = `ws://localhost:8081`;
-            this.signalingServer = new WebSocket(wsUrl);
+            const wsUrl = this.signalingUrls[this.signalingIndex];
+            const ws = new WebSocket(wsUrl);
+            let opened = false;
+            this.signalingServer = ws;
+
+            // 超時處理
+            const timeout = setTimeout(() => {
+                if (ws.readyState !== WebSocket.OPEN) {
+                    ws.close();
+                    reject(new Error('信令伺服器連線超時'));
+                }
+            }, 10000);
 
-            this.signalingServer.onopen = () => {
-                this.log('已連接到信令伺服器', 'info');
+            ws.onopen = () => {
+                clearTimeout(timeout);
+                opened = true;
+                this.reconnectAttempts = 0;
+                this.log(`已連接到信令伺服器 ${wsUrl}`, 'info');
                 
                 // 註冊節點
-                this.signalingServer.send(JSON.stringify({
+                ws.send(JSON.stringify({
                     type: 'register',
-                    nodeId: this.nodeId
+                    nodeId: this.nodeId,
+                    publicKey: this.publicKey,
+                    room: this.roomId,
+                    password: this.roomCredentials.password,
+                    token: this.roomCredentials.token,
+                    resumeToken: this.resumeToken || undefined
                 }));
                 
                 resolve();
             };
 
-            this.signalingServer.onmessage = (event) => {
+            ws.onmessage = (event) => {
                 this.handleSignalingMessage(JSON.parse(event.data));
             };
 
-            this.signalingServer.onclose = () => {
-                this.log('信令伺服器連線已關閉', 'warning');
+            ws.onclose = (event) => {
+                clearTimeout(timeout);
+                reject(new Error('信令伺服器連線已關閉'));
+
+                // 已被新的連線取代或節點已停止
+                if (this.signalingServer !== ws) return;
+
+                // 同一個節點 ID 已在其他分頁或裝置註冊，重新連線只會把對方擠下線
+                if (event.code === NetworkManager.CLOSE_REPLACED) {
+                    this.log('節點 ID 已在其他分頁或裝置使用，停止此節點', 'warning');
+                    this.eventEmitter.emit('signaling-replaced');
+                    this.stopNode();
+                    return;
+                }
+
+                this.log(`信令伺服器連線已關閉: ${wsUrl}`, 'warning');
                 if (this.isRunning) {
-                    // 嘗試重新連接
-                    setTimeout(() => this.connectToSignalingServer(), 5000);
+                    // 從未連上的端點改試下一個，連線中斷則先重試同一個
+                    if (!opened) {
+                        this.signalingIndex = (this.signalingIndex + 1) % this.signalingUrls.length;
+                    }
+                    this.scheduleReconnect();
                 }
             };
 
-            this.signalingServer.onerror = (error) => {
-                this.log('信令伺服器連線錯誤', 'error');
+            ws.onerror = (error) => {
+                this.log(`信令伺服器連線錯誤: ${wsUrl}`, 'error');
                 reject(error);
             };
-
-            // 超時處理
-            setTimeout(() => {
-                if (this.signalingServer.readyState !== WebSocket.OPEN) {
-                    reject(new Error('信令伺服器連線超時'));
-                }
-            }, 10000);
         });
     }
 
+    // 以指數退避安排重新連線
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        const delay = Math.min(
+            this.reconnectMaxDelay,
+            this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts)
+        );
+        // 加入隨機抖動，避免大量節點同時重連
+        const jitteredDelay = Math.round(delay / 2 + Math.random() * delay / 2);
+        this.reconnectAttempts++;
+
+        this.log(`將在 ${(jitteredDelay / 1000).toFixed(1)} 秒後重新連接到 ${this.signalingUrls[this.signalingIndex]}`, 'info');
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.isRunning) return;
+
+            // 失敗時由 onclose 安排下一次重連
+            this.connectToSignalingServer().catch(() => {});
+        }, jitteredDelay);
+    }
+
+    // 設定信令伺服器端點列表，下次連線時生效
+    setSignalingUrls(urls) {
+        const validUrls = NetworkManager.parseSignalingUrls(urls);
+        if (validUrls.length === 0) {
+            throw new Error('沒有有效的信令伺服器位址');
+        }
+        this.signalingUrls = validUrls;
+        this.signalingIndex = 0;
+    }
+
+    // 解析信令伺服器位址，接受陣列或以逗號、空白分隔的字串，只保留 ws:// 與 wss://
+    static parseSignalingUrls(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+        return list
+            .map(url => url.trim())
+            .filter(url => /^wss?:\/\/[^\s]+$/i.test(url));
+    }
+
+    // 載入信令伺服器位址，優先順序：網址參數 ?signaling= > 設定介面儲存的值 > 設定檔 > 預設值
+    static loadSignalingUrls(configuredUrls) {
+        const fromQuery = NetworkManager.parseSignalingUrls(
+            new URLSearchParams(window.location.search).getAll('signaling').join(',')
+        );
+        if (fromQuery.length > 0) return fromQuery;
+
+        const fromSettings = NetworkManager.parseSignalingUrls(
+            Utils.safeJSONParse(localStorage.getItem(NetworkManager.SIGNALING_URLS_KEY), [])
+        );
+        if (fromSettings.length > 0) return fromSettings;
+
+        const fromConfig = NetworkManager.parseSignalingUrls(configuredUrls);
+        if (fromConfig.length > 0) return fromConfig;
+
+        return ['ws://localhost:8081'];
+    }
+
     // 處理信令訊息
     async handleSignalingMessage(message) {
         switch (message.type) {
+            case 'challenge':
+                await this.handleChallenge(message);
+                break;
             case 'peer-list':
+                if (message.resumeToken) {
+                    this.resumeToken = message.resumeToken;
+                }
+                if (message.resumed) {
+                    this.log('已恢復信令伺服器工作階段，保留現有連線', 'info');
+                }
+                if (message.iceServers) {
+                    this.applyServerIceServers(message.iceServers);
+                }
                 await this.handlePeerListFromSignaling(message.peers);
                 break;
             case 'offer':
@@ -141,27 +362,97 @@ class NetworkManager {
                 break;
             case 'peer-joined':
                 this.log(`新節點加入: ${message.nodeId}`, 'info');
-                await this.connectToPeer(message.nodeId);
+                if (message.nodeId !== this.nodeId) {
+                    this.knownPeers.add(message.nodeId);
+                }
+                this.maintainTopology();
                 break;
             case 'peer-left':
                 this.log(`節點離開: ${message.nodeId}`, 'info');
+                this.knownPeers.delete(message.nodeId);
                 this.disconnectPeer(message.nodeId);
                 break;
+            case 'mail':
+                this.log(`收到來自 ${message.from} 的訊息`, 'info');
+                this.eventEmitter.emit('mail-received', {
+                    from: message.from,
+                    payload: message.payload,
+                    sentAt: message.sentAt
+                });
+                break;
+            case 'mail-queued':
+                this.log(`節點 ${message.to} 離線，訊息已暫存於信令伺服器`, 'info');
+                this.eventEmitter.emit('mail-queued', { to: message.to });
+                break;
+            case 'error':
+                this.log(`信令伺服器錯誤 [${message.code}]: ${message.message}`, 'error');
+                this.eventEmitter.emit('signaling-error', message);
+                break;
         }
     }
 
+    // 以私鑰簽署伺服器的挑戰，證明擁有節點 ID 對應的密鑰
+    async handleChallenge(message) {
+        try {
+            const signature = await this.identity.signData({
+                nonce: message.nonce,
+                nodeId: this.nodeId,
+                room: this.roomId
+            });
+
+            this.signalingServer.send(JSON.stringify({
+                type: 'challenge-response',
+                signature: signature
+            }));
+        } catch (error) {
+            this.log(`簽署身分挑戰失敗: ${error.message}`, 'error');
+        }
+    }
+
+    // 合併信令伺服器發放的 TURN 憑證與本地設定的 ICE 伺服器
+    applyServerIceServers(serverIceServers) {
+        this.rtcConfig = {
+            iceServers: [...this.iceServers, ...serverIceServers]
+        };
+    }
+
+    // 設定 ICE 伺服器，只影響之後建立的連線
+    setIceServers(iceServers) {
+        this.iceServers = iceServers;
+        this.rtcConfig = {
+            iceServers: this.iceServers
+        };
+    }
+
     // 處理來自信令伺服器的節點列表
     async handlePeerListFromSignaling(peerList) {
-        for (const peerId of peerList) {
-            if (peerId !== this.nodeId && !this.peers.has(peerId)) {
-                await this.connectToPeer(peerId);
-            }
+        this.knownPeers = new Set(peerList.filter(peerId => peerId !== this.nodeId));
+        this.maintainTopology();
+    }
+
+    // 直接連線數不足 maxPeers 時，依選擇策略從已知節點中補足；
+    // 其餘節點透過鄰居轉發的廣播訊息觸及
+    maintainTopology() {
+        if (!this.isRunning) return;
+
+        const needed = this.topology.maxPeers - this.peers.size;
+        if (needed <= 0) return;
+
+        const now = Date.now();
+        const candidates = Array.from(this.knownPeers).filter(peerId => {
+            const retryAt = this.unreachablePeers.get(peerId);
+            return !this.peers.has(peerId) && !(retryAt && retryAt > now);
+        });
+
+        for (const peerId of this.topology.selectPeers(this.nodeId, candidates, needed)) {
+            this.connectToPeer(peerId);
         }
     }
 
-    // 連接到指定節點
+    // 主動連接到指定節點，由發起連線的一方送出 offer
     async connectToPeer(peerId) {
         if (this.peers.has(peerId) || peerId === this.nodeId) return;
+        if (this.peers.size >= this.topology.maxConnections) return;
 
         const attemptKey = `${this.nodeId}-${peerId}`;
         if (this.connectionAttempts.has(attemptKey)) return;
@@ -172,25 +463,23 @@ class NetworkManager {
             this.log(`正在連接到節點: ${peerId}`, 'info');
             
             const peer = new SimplePeer({
-                initiator: this.nodeId > peerId, // 避免雙向連接
-                trickle: false,
+                initiator: true,
+                trickle: true,
                 config: this.rtcConfig
             });
 
             this.setupPeerEvents(peer, peerId);
             this.peers.set(peerId, peer);
 
-            // 如果是發起者，創建 offer
-            if (peer.initiator) {
-                peer.on('signal', (data) => {
-                    this.signalingServer.send(JSON.stringify({
-                        type: 'offer',
-                        from: this.nodeId,
-                        to: peerId,
-                        signal: data
-                    }));
-                });
-            }
+            // 對方未回應（例如連線數已滿）時放棄，改連其他節點
+            setTimeout(() => {
+                if (this.peers.get(peerId) === peer && !peer.connected) {
+                    this.log(`連接節點 ${peerId} 逾時`, 'warning');
+                    this.unreachablePeers.set(peerId, Date.now() + 60000);
+                    this.connectionAttempts.delete(attemptKey);
+                    this.disconnectPeer(peerId);
+                }
+            }, this.peerConnectTimeout);
 
         } catch (error) {
             this.log(`連接節點 ${peerId} 失敗: ${error.message}`, 'error');
@@ -198,12 +487,34 @@ class NetworkManager {
         }
     }
 
-    // 設置節點事件
-    setupPeerEvents(peer, peerId) {
+    // 設置節點事件，options.manual 表示 offer/answer 由使用者以配對碼交換
+    setupPeerEvents(peer, peerId, options = {}) {
+        this.openBulkChannel(peer, peerId);
+
+        // offer、answer 與逐一收集到的 ICE candidate 都從這裡送出
+        peer.on('signal', (data) => {
+            if (options.manual && !peer.connected) return;
+            this.sendSignal(peerId, data);
+        });
+
         peer.on('connect', () => {
             this.log(`已連接到節點: ${peerId}`, 'info');
+
+            // 每條新連線都重新交換金鑰，之後的訊息會等到工作階段建立才送出；
+            // 必須在通知 peer-connected 之前開始，否則監聽者送出的訊息會用到舊的金鑰。
+            // 對方的 key-exchange 可能比 connect 事件先送達，這時已經為這條連線建立工作階段，不再重新交換
+            const current = this.sessions.get(peerId);
+            if (!current || current.peer !== peer) {
+                this.startKeyExchange(peerId);
+            }
+
             this.eventEmitter.emit('peer-connected', peerId);
             this.connectionAttempts.delete(`${this.nodeId}-${peerId}`);
+
+            // SimplePeer 的預設通道在連線建立後才確定，緩衝消化時繼續送出排程中的訊息
+            if (peer._channel && typeof peer._channel.addEventListener === 'function') {
+                peer._channel.addEventListener('bufferedamountlow', () => this.scheduler.flush(peerId));
+            }
             
             // 發送初始同步請求
             this.sendToPeer(peerId, {
@@ -212,39 +523,176 @@ class NetworkManager {
             });
         });
 
-        peer.on('data', (data) => {
-            try {
-                const message = JSON.parse(data.toString());
-                this.handlePeerMessage(peerId, message);
-            } catch (error) {
-                this.log(`解析來自 ${peerId} 的訊息失敗: ${error.message}`, 'error');
-            }
-        });
+        peer.on('data', (data) => this.handlePeerData(peerId, data));
 
+        // 連線可能已被同一節點的新連線取代，只清理仍屬於這個連線的狀態
         peer.on('close', () => {
+            if (this.peers.get(peerId) !== peer) return;
+
             this.log(`與節點 ${peerId} 的連線已關閉`, 'warning');
             this.peers.delete(peerId);
+            this.scheduler.clear(peerId);
+            this.clearIceState(peerId);
             this.eventEmitter.emit('peer-disconnected', peerId);
+            this.maintainTopology();
         });
 
         peer.on('error', (error) => {
+            if (this.peers.get(peerId) !== peer) return;
+
             this.log(`與節點 ${peerId} 的連線錯誤: ${error.message}`, 'error');
             this.peers.delete(peerId);
+            this.scheduler.clear(peerId);
+            this.clearIceState(peerId);
             this.connectionAttempts.delete(`${this.nodeId}-${peerId}`);
+            this.maintainTopology();
         });
     }
 
+    // SimplePeer 的預設通道用於控制訊息，另外以雙方事先約定的 ID 開一個通道傳送檔案資料，
+    // 不需要額外協商；瀏覽器以外的環境沒有 RTCPeerConnection 時只使用預設通道
+    openBulkChannel(peer, peerId) {
+        if (!peer._pc || typeof peer._pc.createDataChannel !== 'function') return;
+
+        try {
+            const channel = peer._pc.createDataChannel('p2pme-bulk', {
+                negotiated: true,
+                id: NetworkManager.BULK_CHANNEL_ID,
+                ordered: true
+            });
+            channel.binaryType = 'arraybuffer';
+            channel.bufferedAmountLowThreshold = this.scheduler.bulkHighWaterMark / 2;
+            channel.onmessage = (event) => this.handlePeerData(peerId, event.data);
+            channel.onbufferedamountlow = () => this.scheduler.flush(peerId);
+            this.bulkChannels.set(peer, channel);
+        } catch (error) {
+            this.log(`無法建立 ${peerId} 的資料通道: ${error.message}`, 'warning');
+        }
+    }
+
+    // 提供給 SendScheduler 的通道，檔案資料通道尚未開啟時改走預設通道
+    getChannel(peerId, trafficClass) {
+        const peer = this.peers.get(peerId);
+        if (!peer || !peer.connected) return null;
+
+        const bulkChannel = this.bulkChannels.get(peer);
+        if (trafficClass === 'bulk' && bulkChannel && bulkChannel.readyState === 'open') {
+            return bulkChannel;
+        }
+        return {
+            send: (data) => peer.send(data),
+            bufferedAmount: peer.bufferSize || 0
+        };
+    }
+
+    handlePeerData(peerId, data) {
+        try {
+            const { message, payload } = WireProtocol.decode(data);
+            this.handlePeerMessage(peerId, message, payload);
+        } catch (error) {
+            this.log(`解析來自 ${peerId} 的訊息失敗: ${error.message}`, 'error');
+        }
+    }
+
+    // 發送 WebRTC 信令，信令伺服器無法使用時改由已連線的節點以 relay-signal 轉發
+    sendSignal(peerId, data) {
+        let type = 'offer';
+        if (data.type === 'answer') {
+            type = 'answer';
+        } else if (data.candidate) {
+            type = 'ice-candidate';
+        }
+
+        if (this.signalingServer && this.signalingServer.readyState === WebSocket.OPEN) {
+            this.signalingServer.send(JSON.stringify({
+                type: type,
+                from: this.nodeId,
+                to: peerId,
+                signal: data
+            }));
+            return true;
+        }
+
+        if (this.getConnectedPeers().length === 0) {
+            this.log(`無法發送 ${type} 給 ${peerId}: 信令伺服器未連線且沒有可轉發的節點`, 'warning');
+            return false;
+        }
+
+        return this.sendToPeer(peerId, {
+            type: 'relay-signal',
+            signalType: type,
+            signal: data
+        });
+    }
+
+    // 透過信令伺服器傳送小型訊息，對方離線時由伺服器暫存（需伺服器啟用離線信箱）
+    sendMail(peerId, payload, ttl) {
+        if (!this.signalingServer || this.signalingServer.readyState !== WebSocket.OPEN) {
+            this.log(`無法傳送訊息給 ${peerId}: 信令伺服器未連線`, 'warning');
+            return false;
+        }
+
+        this.signalingServer.send(JSON.stringify({
+            type: 'mail',
+            from: this.nodeId,
+            to: peerId,
+            payload: payload,
+            ttl: ttl
+        }));
+        return true;
+    }
+
+    // 遠端描述設定後，套用先前排隊的 ICE candidate
+    flushIceCandidates(peerId) {
+        this.remoteDescriptions.add(peerId);
+
+        const peer = this.peers.get(peerId);
+        const queued = this.pendingCandidates.get(peerId);
+        this.pendingCandidates.delete(peerId);
+
+        if (!peer || !queued) return;
+        for (const signal of queued) {
+            peer.signal(signal);
+        }
+    }
+
+    // 清除節點的 ICE 狀態
+    clearIceState(peerId) {
+        this.pendingCandidates.delete(peerId);
+        this.remoteDescriptions.delete(peerId);
+    }
+
     // 處理 WebRTC offer
     async handleOffer(message) {
         if (message.to !== this.nodeId) return;
 
         try {
             let peer = this.peers.get(message.from);
+
+            // 雙方同時發起連線時，由節點 ID 較大的一方保留自己的 offer
+            if (peer && peer.initiator && message.signal.type === 'offer') {
+                if (this.nodeId > message.from) {
+                    // 對方會放棄這個 offer，已排隊的 candidate 屬於對方即將關閉的連線
+                    this.clearIceState(message.from);
+                    return;
+                }
+
+                this.peers.delete(message.from);
+                this.clearIceState(message.from);
+                this.connectionAttempts.delete(`${this.nodeId}-${message.from}`);
+                peer.destroy();
+                peer = null;
+            }
             
             if (!peer) {
+                if (this.peers.size >= this.topology.maxConnections) {
+                    this.log(`連線數已達上限，忽略來自 ${message.from} 的 offer`, 'warning');
+                    return;
+                }
+
                 peer = new SimplePeer({
                     initiator: false,
-                    trickle: false,
+                    trickle: true,
                     config: this.rtcConfig
                 });
                 
@@ -253,15 +701,9 @@ class NetworkManager {
             }
 
             peer.signal(message.signal);
-
-            peer.on('signal', (data) => {
-                this.signalingServer.send(JSON.stringify({
-                    type: 'answer',
-                    from: this.nodeId,
-                    to: message.from,
-                    signal: data
-                }));
-            });
+            if (message.signal.type === 'offer') {
+                this.flushIceCandidates(message.from);
+            }
 
         } catch (error) {
             this.log(`處理 offer 失敗: ${error.message}`, 'error');
@@ -276,6 +718,7 @@ class NetworkManager {
             const peer = this.peers.get(message.from);
             if (peer) {
                 peer.signal(message.signal);
+                this.flushIceCandidates(message.from);
             }
         } catch (error) {
             this.log(`處理 answer 失敗: ${error.message}`, 'error');
@@ -288,40 +731,243 @@ class NetworkManager {
 
         try {
             const peer = this.peers.get(message.from);
-            if (peer) {
-                peer.signal(message.signal);
+
+            // 只接受正在連線中的節點的 candidate，避免任意節點塞滿佇列
+            if (!peer) {
+                this.log(`忽略來自 ${message.from} 的 ICE candidate：沒有進行中的連線`, 'warning');
+                return;
+            }
+
+            // 尚未收到 offer/answer 時先排隊，待遠端描述設定後再套用
+            if (!this.remoteDescriptions.has(message.from)) {
+                if (!this.pendingCandidates.has(message.from)) {
+                    this.pendingCandidates.set(message.from, []);
+                }
+                const queued = this.pendingCandidates.get(message.from);
+                if (queued.length >= NetworkManager.MAX_PENDING_CANDIDATES) {
+                    this.log(`來自 ${message.from} 的 ICE candidate 過多，已忽略`, 'warning');
+                    return;
+                }
+                queued.push(message.signal);
+                return;
             }
+
+            peer.signal(message.signal);
         } catch (error) {
             this.log(`處理 ICE candidate 失敗: ${error.message}`, 'error');
         }
     }
 
+    // 手動配對第一步：產生包含完整 offer 的配對碼，交給對方以 acceptPairingCode() 貼入
+    async createManualOffer() {
+        if (!this.isRunning) {
+            throw new Error('請先啟動節點');
+        }
+
+        this.cancelManualOffer();
+        const peer = new SimplePeer({
+            initiator: true,
+            trickle: false, // 等待 ICE 收集完成，配對碼內即包含所有 candidate
+            config: this.rtcConfig
+        });
+        this.manualOffer = peer;
+
+        const signal = await NetworkManager.waitForSignal(peer);
+        this.log('已產生配對碼，等待對方回覆', 'info');
+        return this.encodePairingCode({ nodeId: this.nodeId, signal });
+    }
+
+    // 貼入對方的配對碼：收到 offer 時回傳要交還給對方的回覆配對碼，收到回覆時完成連線並回傳 null
+    async acceptPairingCode(code) {
+        if (!this.isRunning) {
+            throw new Error('請先啟動節點');
+        }
+
+        const { nodeId, signal } = await this.decodePairingCode(code);
+        if (nodeId === this.nodeId) {
+            throw new Error('無法與自己配對');
+        }
+
+        if (signal.type === 'offer') {
+            return this.acceptManualOffer(nodeId, signal);
+        }
+        await this.acceptManualAnswer(nodeId, signal);
+        return null;
+    }
+
+    async acceptManualOffer(peerId, signal) {
+        this.disconnectPeer(peerId);
+
+        const peer = new SimplePeer({
+            initiator: false,
+            trickle: false,
+            config: this.rtcConfig
+        });
+        const answer = NetworkManager.waitForSignal(peer);
+
+        this.setupPeerEvents(peer, peerId, { manual: true });
+        this.peers.set(peerId, peer);
+        await this.handleOffer({ type: 'offer', from: peerId, to: this.nodeId, signal });
+
+        this.log(`已接受 ${peerId} 的配對邀請，請將回覆配對碼交給對方`, 'info');
+        return this.encodePairingCode({ nodeId: this.nodeId, signal: await answer });
+    }
+
+    async acceptManualAnswer(peerId, signal) {
+        const peer = this.manualOffer;
+        if (!peer) {
+            throw new Error('沒有等待回覆的配對邀請');
+        }
+
+        this.manualOffer = null;
+        this.disconnectPeer(peerId);
+        this.setupPeerEvents(peer, peerId, { manual: true });
+        this.peers.set(peerId, peer);
+        await this.handleAnswer({ type: 'answer', from: peerId, to: this.nodeId, signal });
+    }
+
+    cancelManualOffer() {
+        if (this.manualOffer) {
+            this.manualOffer.destroy();
+            this.manualOffer = null;
+        }
+    }
+
+    // 配對碼 = 前綴 + Base64(deflate-raw(JSON))，壓縮後的 SDP 足以放進 QR code
+    async encodePairingCode(data) {
+        const json = new TextEncoder().encode(JSON.stringify(data));
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const compressed = await new Response(stream).arrayBuffer();
+        return NetworkManager.PAIRING_CODE_PREFIX + this.identity.arrayBufferToBase64(compressed);
+    }
+
+    async decodePairingCode(code) {
+        const text = String(code || '').replace(/\s+/g, '');
+        if (!text.startsWith(NetworkManager.PAIRING_CODE_PREFIX)) {
+            throw new Error('無效的配對碼');
+        }
+
+        let data;
+        try {
+            const compressed = this.identity.base64ToArrayBuffer(text.slice(NetworkManager.PAIRING_CODE_PREFIX.length));
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            data = JSON.parse(await new Response(stream).text());
+        } catch (error) {
+            throw new Error('無效的配對碼');
+        }
+
+        if (!data || !CryptoUtils.isValidAddress(data.nodeId) || !data.signal ||
+            (data.signal.type !== 'offer' && data.signal.type !== 'answer')) {
+            throw new Error('無效的配對碼');
+        }
+        return data;
+    }
+
+    // 等待連線產生第一個信令（不使用 trickle 時即為完整的 offer 或 answer）
+    static waitForSignal(peer, timeout = 15000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('產生連線資訊逾時')), timeout);
+            peer.once('signal', (data) => {
+                clearTimeout(timer);
+                resolve(data);
+            });
+            peer.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
     // 斷開與指定節點的連線
     disconnectPeer(peerId) {
         const peer = this.peers.get(peerId);
+        this.clearIceState(peerId);
         if (peer) {
             peer.destroy();
             this.peers.delete(peerId);
+            this.scheduler.clear(peerId);
             this.eventEmitter.emit('peer-disconnected', peerId);
+            this.maintainTopology();
         }
     }
 
-    // 處理來自節點的訊息
-    handlePeerMessage(peerId, message) {
+    // 處理來自節點的訊息：應用訊息必須經過加密，只有金鑰交換與轉發路由用的訊息可以是明文。
+    // binary 為二進位分框附帶的資料（ArrayBuffer），一般 JSON 訊息為 null
+    handlePeerMessage(peerId, message, binary = null) {
+        if (message.type === 'encrypted') {
+            this.handleEncryptedMessage(peerId, message, binary);
+            return;
+        }
+
+        if (!NetworkManager.PLAINTEXT_TYPES.includes(message.type)) {
+            this.log(`拒絕來自 ${peerId} 的未加密訊息: ${message.type}`, 'warning');
+            return;
+        }
+        this.dispatchMessage(peerId, message, binary);
+    }
+
+    // 交給對應的訊息處理器，廣播訊息的 peerId 為原始發送者而非轉發的鄰居；
+    // 原始發送者的簽章驗證通過後才轉發與處理
+    async dispatchMessage(peerId, message, binary = null) {
+        if (message.gossip !== undefined) {
+            if (!(await this.relayGossip(peerId, message))) return;
+            peerId = message.gossip.origin;
+        }
+
         const handler = this.messageHandlers.get(message.type);
         if (handler) {
-            handler(peerId, message);
+            handler(peerId, message, binary);
         } else {
             this.log(`未知的訊息類型: ${message.type}`, 'warning');
         }
     }
 
-    // 發送訊息給指定節點
-    sendToPeer(peerId, message) {
+    // 發送訊息給指定節點，沒有直接連線時透過其他節點逐跳轉發（不等待送達確認，
+    // 轉發失敗時觸發 route-failed 事件；需要確認送達請使用 sendRouted）。
+    // 訊息以與對方的工作階段金鑰加密，轉發的節點無法讀取；尚未建立工作階段時先交換金鑰。
+    // binary 為 ArrayBuffer 或 TypedArray 時以二進位分框送出，不需轉成 Base64
+    sendToPeer(peerId, message, binary = null) {
+        const peer = this.peers.get(peerId);
+        if (!(peer && peer.connected) && (!this.isRunning || peerId === this.nodeId)) {
+            return false;
+        }
+
+        if (NetworkManager.PLAINTEXT_TYPES.includes(message.type)) {
+            return this.transmit(peerId, message, binary);
+        }
+
+        this.encryptFor(peerId, message, binary)
+            .then(({ envelope, ciphertext }) => this.transmit(peerId, envelope, ciphertext, message))
+            .catch(error => {
+                this.log(`加密訊息給 ${peerId} 失敗: ${error.message}`, 'warning');
+            });
+        return true;
+    }
+
+    // 送出已加密或不需加密的訊息，沒有直接連線時逐跳轉發；original 為加密前的訊息，用於 route-failed 事件
+    transmit(peerId, message, binary = null, original = message) {
+        const peer = this.peers.get(peerId);
+        if (peer && peer.connected) {
+            return this.sendDirect(peerId, message, binary);
+        }
+
+        if (!this.isRunning || peerId === this.nodeId) {
+            return false;
+        }
+
+        this.routeMessage(peerId, message, binary).catch(error => {
+            this.log(`轉發訊息給 ${peerId} 失敗: ${error.message}`, 'warning');
+            this.eventEmitter.emit('route-failed', { peerId, message: original, error });
+        });
+        return true;
+    }
+
+    // 透過直接連線發送訊息，由 SendScheduler 依訊息類別排定送出順序
+    sendDirect(peerId, message, binary = null) {
         const peer = this.peers.get(peerId);
         if (peer && peer.connected) {
             try {
-                peer.send(JSON.stringify(message));
+                this.scheduler.enqueue(peerId, WireProtocol.encode(message, binary), SendScheduler.classify(message));
                 return true;
             } catch (error) {
                 this.log(`發送訊息給 ${peerId} 失敗: ${error.message}`, 'error');
@@ -331,8 +977,66 @@ class NetworkManager {
         return false;
     }
 
-    // 廣播訊息給所有連接的節點
-    broadcast(message, excludePeerId = null) {
+    // 可等待的發送：訊息交給資料通道、且通道緩衝低於上限後才 resolve，檔案等大量資料的發送端
+    // 以此配合 bufferedAmount 控制速度；連線關閉時拋出錯誤。沒有直接連線時改為等待轉發確認
+    async sendWithBackpressure(peerId, message, binary = null) {
+        const peer = this.peers.get(peerId);
+        if (!peer || !peer.connected) {
+            await this.sendRouted(peerId, message, binary);
+            return;
+        }
+
+        let wireMessage = message;
+        let wirePayload = binary;
+        if (!NetworkManager.PLAINTEXT_TYPES.includes(message.type)) {
+            const { envelope, ciphertext } = await this.encryptFor(peerId, message, binary);
+            wireMessage = envelope;
+            wirePayload = ciphertext;
+        }
+
+        await this.scheduler.whenSent(
+            peerId,
+            WireProtocol.encode(wireMessage, wirePayload),
+            SendScheduler.classify(wireMessage)
+        );
+    }
+
+    // 廣播訊息給整個網路：附上 { id, origin, ttl } 與原始發送者的簽章後送給所有鄰居，
+    // 收到的節點去除重複後再轉發給自己的其他鄰居，直到 ttl 用完
+    broadcast(message) {
+        const gossip = { id: Utils.generateId(16), origin: this.nodeId, ttl: this.gossipTtl };
+        this.markMessageSeen(gossip.id);
+        this.gossipStats.originated++;
+
+        this.signGossip(message, gossip)
+            .then(signed => this.sendToNeighbours(signed))
+            .catch(error => {
+                this.log(`簽署廣播訊息失敗: ${error.message}`, 'error');
+            });
+    }
+
+    // 以身分私鑰簽署 { id, origin, payload }；ttl 會被轉發的節點改寫，不在簽署範圍內
+    async signGossip(message, gossip) {
+        const signature = await this.identity.signData({ id: gossip.id, origin: gossip.origin, payload: message });
+        return { ...message, gossip: { ...gossip, publicKey: this.publicKey, signature } };
+    }
+
+    // 確認廣播訊息確實由 origin 簽署，公鑰必須對應到 origin 的節點 ID
+    async verifyGossip(message) {
+        const { gossip, ...payload } = message;
+        if (typeof gossip.publicKey !== 'string' || typeof gossip.signature !== 'string') {
+            return false;
+        }
+        return await this.identity.verifySignatureFromAddress(
+            { id: gossip.id, origin: gossip.origin, payload },
+            gossip.signature,
+            gossip.publicKey,
+            gossip.origin
+        );
+    }
+
+    // 把已附上 gossip 欄位的訊息送給除了 excludePeerId 以外的所有鄰居，每個鄰居各自以工作階段金鑰加密
+    sendToNeighbours(message, excludePeerId = null) {
         let sentCount = 0;
         for (const [peerId, peer] of this.peers) {
             if (peerId !== excludePeerId && peer.connected) {
@@ -344,6 +1048,330 @@ class NetworkManager {
         return sentCount;
     }
 
+    // 檢查收到的廣播訊息，第一次收到且簽章有效時轉發給其他鄰居並回傳 true，重複或無效的訊息回傳 false
+    async relayGossip(peerId, message) {
+        const { id, origin, ttl } = message.gossip || {};
+        if (typeof id !== 'string' || typeof origin !== 'string' || typeof ttl !== 'number') {
+            this.log(`來自 ${peerId} 的廣播訊息格式無效`, 'warning');
+            return false;
+        }
+
+        if (origin === this.nodeId || this.seenMessages.has(id)) {
+            this.gossipStats.duplicates++;
+            return false;
+        }
+        this.markMessageSeen(id);
+
+        if (!(await this.verifyGossip(message))) {
+            // 偽造的副本不應擋下之後送達的真正訊息
+            this.seenMessages.delete(id);
+            this.log(`來自 ${peerId} 的廣播訊息簽章無效，聲稱的發送者為 ${origin}`, 'warning');
+            return false;
+        }
+
+        // 最先送達的鄰居通常位於通往 origin 的最短路徑上；信令伺服器離線時也能從廣播得知新節點
+        this.learnRoute(origin, peerId);
+        this.knownPeers.add(origin);
+
+        // 不信任對方給的 ttl，最多只轉發本機設定的跳數
+        const remainingTtl = Math.min(ttl, this.gossipTtl) - 1;
+        if (remainingTtl > 0) {
+            const forwarded = this.sendToNeighbours({ ...message, gossip: { ...message.gossip, ttl: remainingTtl } }, peerId);
+            if (forwarded > 0) {
+                this.gossipStats.forwarded++;
+            }
+        }
+        return true;
+    }
+
+    // 逐跳轉發訊息給沒有直接連線的節點，對方收到後回傳 route-ack；訊息先以與對方的工作階段金鑰加密
+    async sendRouted(peerId, message, binary = null) {
+        if (NetworkManager.PLAINTEXT_TYPES.includes(message.type)) {
+            return this.routeMessage(peerId, message, binary);
+        }
+
+        const { envelope, ciphertext } = await this.encryptFor(peerId, message, binary);
+        return this.routeMessage(peerId, envelope, ciphertext);
+    }
+
+    // 包成 routed 訊息送往下一跳，沒有已知路由時先廣播 route-request 探索路由
+    async routeMessage(peerId, message, binary = null) {
+        if (!this.getNextHop(peerId)) {
+            await this.discoverRoute(peerId);
+        }
+
+        const routed = {
+            type: 'routed',
+            id: Utils.generateId(16),
+            origin: this.nodeId,
+            target: peerId,
+            ttl: this.gossipTtl,
+            payload: message
+        };
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingAcks.delete(routed.id);
+                // 路由可能已失效，下次重新探索
+                this.routes.delete(peerId);
+                reject(new Error(`等待 ${peerId} 確認送達逾時`));
+            }, this.routedAckTimeout);
+            this.pendingAcks.set(routed.id, { resolve, reject, timer });
+
+            if (!this.forwardRouted(routed, binary)) {
+                clearTimeout(timer);
+                this.pendingAcks.delete(routed.id);
+                reject(new Error(`沒有通往 ${peerId} 的路由`));
+            }
+        });
+    }
+
+    // 廣播路由探索請求，目標節點回覆 route-reply 後即可沿途學到路由
+    discoverRoute(peerId) {
+        if (this.routeDiscoveries.has(peerId)) {
+            return this.routeDiscoveries.get(peerId).promise;
+        }
+
+        const discovery = {};
+        discovery.promise = new Promise((resolve, reject) => {
+            discovery.resolve = resolve;
+            discovery.timer = setTimeout(() => {
+                this.routeDiscoveries.delete(peerId);
+                reject(new Error(`找不到通往 ${peerId} 的路由`));
+            }, this.routeDiscoveryTimeout);
+        });
+        this.routeDiscoveries.set(peerId, discovery);
+
+        this.broadcast({ type: 'route-request', target: peerId });
+        return discovery.promise;
+    }
+
+    // 送往下一跳，目標是鄰居時直接送達
+    forwardRouted(message, binary = null) {
+        const nextHop = this.getNextHop(message.target);
+        return nextHop ? this.sendDirect(nextHop, message, binary) : false;
+    }
+
+    getNextHop(peerId) {
+        const peer = this.peers.get(peerId);
+        if (peer && peer.connected) return peerId;
+
+        const route = this.routes.get(peerId);
+        if (!route) return null;
+
+        const nextPeer = this.peers.get(route.nextHop);
+        if (route.expiresAt < Date.now() || !nextPeer || !nextPeer.connected) {
+            this.routes.delete(peerId);
+            return null;
+        }
+        return route.nextHop;
+    }
+
+    learnRoute(peerId, nextHop) {
+        if (peerId === this.nodeId || peerId === nextHop) return;
+        this.routes.set(peerId, { nextHop, expiresAt: Date.now() + this.routeLifetime });
+    }
+
+    // 處理轉發中的訊息：送達目標時交給對應的處理器並回傳確認，否則轉發給下一跳
+    handleRoutedMessage(peerId, message, binary) {
+        const { id, origin, target, ttl, payload } = message;
+        if (typeof id !== 'string' || typeof origin !== 'string' || typeof target !== 'string' ||
+            typeof ttl !== 'number' || !payload || typeof payload.type !== 'string' ||
+            payload.type === 'routed' || payload.gossip !== undefined) {
+            this.log(`來自 ${peerId} 的轉發訊息格式無效`, 'warning');
+            return;
+        }
+        if (origin === this.nodeId) return;
+
+        this.learnRoute(origin, peerId);
+
+        if (target === this.nodeId) {
+            if (payload.type !== 'route-ack' && payload.type !== 'route-reply') {
+                this.forwardRouted({
+                    type: 'routed',
+                    id: Utils.generateId(16),
+                    origin: this.nodeId,
+                    target: origin,
+                    ttl: this.gossipTtl,
+                    payload: { type: 'route-ack', messageId: id }
+                });
+            }
+            this.handlePeerMessage(origin, payload, binary);
+            return;
+        }
+
+        const remainingTtl = Math.min(ttl, this.gossipTtl) - 1;
+        if (remainingTtl <= 0 || !this.forwardRouted({ ...message, ttl: remainingTtl }, binary)) {
+            this.log(`無法轉發訊息給 ${target}`, 'warning');
+        }
+    }
+
+    // 經由其他節點轉發的 WebRTC 信令，與信令伺服器送來的 offer/answer/ice-candidate 處理方式相同
+    async handleRelaySignal(peerId, message) {
+        if (!message.signal || typeof message.signal !== 'object') {
+            this.log(`來自 ${peerId} 的轉發信令格式無效`, 'warning');
+            return;
+        }
+
+        const signalMessage = {
+            type: message.signalType,
+            from: peerId,
+            to: this.nodeId,
+            signal: message.signal
+        };
+
+        switch (message.signalType) {
+            case 'offer':
+                await this.handleOffer(signalMessage);
+                break;
+            case 'answer':
+                await this.handleAnswer(signalMessage);
+                break;
+            case 'ice-candidate':
+                await this.handleIceCandidate(signalMessage);
+                break;
+            default:
+                this.log(`未知的轉發信令類型: ${message.signalType}`, 'warning');
+        }
+    }
+
+    // 建立新的加密工作階段並送出 key-exchange；reply 表示回應對方發起的交換
+    startKeyExchange(peerId, reply = false) {
+        const previous = this.sessions.get(peerId);
+        const session = new PeerSession(this.identity, this.nodeId, peerId);
+        if (previous) {
+            session.remoteTimestamp = previous.remoteTimestamp;
+            session.remoteEphemeralKey = previous.remoteEphemeralKey;
+        }
+        // 工作階段所屬的直接連線，經由其他節點轉發時為 null
+        session.peer = this.peers.get(peerId) || null;
+        this.sessions.set(peerId, session);
+
+        const abort = (error) => {
+            session.fail(error);
+            if (this.sessions.get(peerId) === session) {
+                this.sessions.delete(peerId);
+            }
+        };
+
+        const timer = setTimeout(() => {
+            abort(new Error(`與 ${peerId} 交換金鑰逾時`));
+        }, this.keyExchangeTimeout);
+        session.ready.then(() => clearTimeout(timer), () => clearTimeout(timer));
+
+        // 沒有直接連線時等待轉發確認，找不到路由就立即放棄，不必等到逾時
+        session.createHandshake(reply)
+            .then(handshake => {
+                const peer = this.peers.get(peerId);
+                if (peer && peer.connected) {
+                    if (!this.sendDirect(peerId, handshake)) {
+                        throw new Error(`無法送出金鑰交換訊息給 ${peerId}`);
+                    }
+                    return;
+                }
+                return this.routeMessage(peerId, handshake);
+            })
+            .catch(error => {
+                this.log(error.message, 'warning');
+                abort(error);
+            });
+        return session;
+    }
+
+    // 回傳已建立的工作階段，尚未建立時先與對方交換金鑰
+    async encryptFor(peerId, message, binary = null) {
+        const session = this.sessions.get(peerId) || this.startKeyExchange(peerId);
+        await session.ready;
+        return session.encrypt(message, binary, SendScheduler.classify(message));
+    }
+
+    // 對方發起交換時建立新的工作階段並回應；自己也已送出交換（或對方在回應）時直接推導金鑰
+    async handleKeyExchange(peerId, message) {
+        if (!(await PeerSession.verifyHandshake(this.identity, message, this.nodeId, peerId))) {
+            this.log(`來自 ${peerId} 的金鑰交換驗證失敗`, 'warning');
+            return;
+        }
+
+        // 時間較舊，或與已接受的交換完全相同（重放）時忽略；同一毫秒內的新交換一次性公鑰不同，仍然接受
+        let session = this.sessions.get(peerId);
+        if (session && (message.timestamp < session.remoteTimestamp ||
+            (message.timestamp === session.remoteTimestamp && message.ephemeralKey === session.remoteEphemeralKey))) {
+            this.log(`忽略 ${peerId} 過期的金鑰交換`, 'warning');
+            return;
+        }
+
+        if (!session || session.established) {
+            if (message.reply) return;
+            session = this.startKeyExchange(peerId, true);
+        }
+
+        try {
+            await session.complete(message);
+            this.log(`已與 ${peerId} 建立加密工作階段`, 'info');
+            this.eventEmitter.emit('session-established', peerId);
+        } catch (error) {
+            this.log(`與 ${peerId} 建立加密工作階段失敗: ${error.message}`, 'error');
+            session.fail(error);
+        }
+    }
+
+    async handleEncryptedMessage(peerId, message, binary) {
+        const session = this.sessions.get(peerId);
+        if (!session) {
+            this.log(`收到 ${peerId} 的加密訊息，但尚未建立工作階段`, 'warning');
+            return;
+        }
+
+        try {
+            const decrypted = await session.decrypt(message, binary);
+            await this.dispatchMessage(peerId, decrypted.message, decrypted.payload);
+        } catch (error) {
+            this.log(`無法解密來自 ${peerId} 的訊息: ${error.message}`, 'warning');
+        }
+    }
+
+    handleRouteRequest(peerId, message) {
+        if (message.target !== this.nodeId) return;
+
+        this.forwardRouted({
+            type: 'routed',
+            id: Utils.generateId(16),
+            origin: this.nodeId,
+            target: peerId,
+            ttl: this.gossipTtl,
+            payload: { type: 'route-reply' }
+        });
+    }
+
+    handleRouteReply(peerId, message) {
+        const discovery = this.routeDiscoveries.get(peerId);
+        if (!discovery) return;
+
+        clearTimeout(discovery.timer);
+        this.routeDiscoveries.delete(peerId);
+        discovery.resolve();
+    }
+
+    handleRouteAck(peerId, message) {
+        const pending = this.pendingAcks.get(message.messageId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingAcks.delete(message.messageId);
+        pending.resolve();
+    }
+
+    // 記錄已處理的廣播訊息，移除過期的紀錄，超過上限時移除最舊的紀錄
+    markMessageSeen(messageId) {
+        const now = Date.now();
+        this.seenMessages.set(messageId, now + this.seenMessageTtl);
+
+        for (const [seenId, expiresAt] of this.seenMessages) {
+            if (expiresAt > now && this.seenMessages.size <= this.maxSeenMessages) break;
+            this.seenMessages.delete(seenId);
+        }
+    }
+
     // 訊息處理器
     handleFileOffer(peerId, message) {
         this.eventEmitter.emit('file-offer', { peerId, ...message });
@@ -353,6 +1381,23 @@ class NetworkManager {
         this.eventEmitter.emit('file-request', { peerId, ...message });
     }
 
+    // 檔案塊的內容以二進位分框送達
+    handleFileChunk(peerId, message, binary) {
+        this.eventEmitter.emit('file-chunk', { peerId, ...message, chunkData: binary });
+    }
+
+    handleFileError(peerId, message) {
+        this.eventEmitter.emit('file-error', { peerId, ...message });
+    }
+
+    handleFileHave(peerId, message) {
+        this.eventEmitter.emit('file-have', { peerId, ...message });
+    }
+
+    handleFileUnavailable(peerId, message) {
+        this.eventEmitter.emit('file-unavailable', { peerId, ...message });
+    }
+
     handleTransaction(peerId, message) {
         this.eventEmitter.emit('transaction-received', { peerId, transaction: message.transaction });
     }
@@ -379,6 +1424,7 @@ class NetworkManager {
 
     handlePong(peerId, message) {
         const latency = Date.now() - message.originalTimestamp;
+        this.topology.recordLatency(peerId, latency);
         this.eventEmitter.emit('peer-latency', { peerId, latency });
     }
 
@@ -408,9 +1454,16 @@ class NetworkManager {
     getNetworkStatus() {
         return {
             nodeId: this.nodeId,
+            roomId: this.roomId,
             isRunning: this.isRunning,
             connectedPeers: this.getConnectedPeers().length,
             totalPeers: this.peers.size,
+            knownPeers: this.knownPeers.size,
+            maxPeers: this.topology.maxPeers,
+            peerSelection: this.topology.strategy,
+            gossip: { ...this.gossipStats },
+            queuedMessages: this.scheduler.getQueuedCount(),
+            encryptedSessions: Array.from(this.sessions.values()).filter(session => session.established).length,
             signalingConnected: this.signalingServer && this.signalingServer.readyState === WebSocket.OPEN
         };
     }
@@ -433,15 +1486,27 @@ class NetworkManager {
         this.eventEmitter.off(event, callback);
     }
 
-    // 重新生成節點 ID
-    regenerateNodeId() {
+    // 重新生成節點 ID（捨棄已保存的身分密鑰並產生新的）
+    async regenerateNodeId() {
         if (this.isRunning) {
             throw new Error('無法在節點運行時重新生成 ID');
         }
-        this.nodeId = Utils.generateId(16);
+        await this.identityStore.clear();
+        this.identity.keyPair = null;
+        await this.initializeIdentity();
         this.eventEmitter.emit('node-id-changed', this.nodeId);
     }
 
+    // 設定要加入的房間，受保護的房間需提供 { password } 或 { token }
+    setRoom(roomId, credentials = {}) {
+        if (this.isRunning) {
+            throw new Error('無法在節點運行時切換房間');
+        }
+        this.roomId = roomId || 'default';
+        this.roomCredentials = credentials;
+        this.eventEmitter.emit('room-changed', this.roomId);
+    }
+
     // 獲取節點統計資訊
     getStats() {
         const connectedPeers = this.getConnectedPeers();
@@ -457,5 +1522,23 @@ class NetworkManager {
     }
 }
 
+// 設定介面儲存信令伺服器位址的 localStorage 鍵
+NetworkManager.SIGNALING_URLS_KEY = 'p2pme-signaling-urls';
+
+// 手動配對碼的格式前綴與版本
+NetworkManager.PAIRING_CODE_PREFIX = 'p2pme1:';
+
+// 不需加密的訊息：金鑰交換本身，以及轉發路由用的外層與回應（內容不含應用資料）
+NetworkManager.PLAINTEXT_TYPES = ['key-exchange', 'routed', 'route-reply', 'route-ack'];
+
+// 每個節點在遠端描述設定前最多排隊的 ICE candidate 數量
+NetworkManager.MAX_PENDING_CANDIDATES = 50;
+
+// 信令伺服器因同一個節點 ID 重新註冊而關閉舊連線時使用的關閉代碼
+NetworkManager.CLOSE_REPLACED = 4000;
+
+// 檔案資料通道的 stream ID，雙方以 negotiated 方式各自建立，選用較大的值避免與預設通道衝突
+NetworkManager.BULK_CHANNEL_ID = 1000;
+
 // 導出網路管理器
 window.NetworkManager = NetworkManager;
\ No newline at end of file
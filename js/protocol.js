@@ -0,0 +1,63 @@
+// 資料通道協定模組 - 控制訊息使用 JSON 文字，帶有二進位資料的訊息使用分框格式
+//
+// 二進位分框格式：
+//   [1 byte 類型][4 bytes 標頭長度 (big-endian)][標頭 JSON (UTF-8)][資料]
+// JSON 文字一定以 '{' (0x7b) 開頭，因此可以用第一個位元組區分兩種格式
+class WireProtocol {
+    // 編碼要送出的訊息，有 payload 時產生二進位分框，否則為 JSON 字串
+    static encode(message, payload = null) {
+        if (!payload) {
+            return JSON.stringify(message);
+        }
+
+        const header = WireProtocol.textEncoder.encode(JSON.stringify(message));
+        const body = payload instanceof Uint8Array
+            ? payload
+            : new Uint8Array(payload.buffer || payload, payload.byteOffset || 0, payload.byteLength);
+
+        const frame = new Uint8Array(WireProtocol.FRAME_HEADER_SIZE + header.byteLength + body.byteLength);
+        frame[0] = WireProtocol.FRAME_BINARY;
+        new DataView(frame.buffer).setUint32(1, header.byteLength);
+        frame.set(header, WireProtocol.FRAME_HEADER_SIZE);
+        frame.set(body, WireProtocol.FRAME_HEADER_SIZE + header.byteLength);
+        return frame;
+    }
+
+    // 解碼收到的資料，回傳 { message, payload }，payload 為 ArrayBuffer 或 null
+    static decode(data) {
+        if (typeof data === 'string') {
+            return { message: JSON.parse(data), payload: null };
+        }
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (bytes[0] === WireProtocol.JSON_START) {
+            return { message: JSON.parse(WireProtocol.textDecoder.decode(bytes)), payload: null };
+        }
+
+        if (bytes[0] !== WireProtocol.FRAME_BINARY || bytes.byteLength < WireProtocol.FRAME_HEADER_SIZE) {
+            throw new Error(`未知的分框類型: ${bytes[0]}`);
+        }
+
+        const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(1);
+        const payloadStart = WireProtocol.FRAME_HEADER_SIZE + headerLength;
+        if (payloadStart > bytes.byteLength) {
+            throw new Error('分框標頭長度無效');
+        }
+
+        const header = bytes.subarray(WireProtocol.FRAME_HEADER_SIZE, payloadStart);
+        return {
+            message: JSON.parse(WireProtocol.textDecoder.decode(header)),
+            // 複製一份，避免保留整個接收緩衝區
+            payload: Uint8Array.prototype.slice.call(bytes, payloadStart).buffer
+        };
+    }
+}
+
+WireProtocol.FRAME_BINARY = 0x01;
+WireProtocol.JSON_START = 0x7b; // '{'
+WireProtocol.FRAME_HEADER_SIZE = 5;
+WireProtocol.textEncoder = new TextEncoder();
+WireProtocol.textDecoder = new TextDecoder();
+
+// 導出資料通道協定
+window.WireProtocol = WireProtocol;
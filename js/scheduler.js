@@ -0,0 +1,135 @@
+// 傳送排程模組 - 依訊息類別排定送出順序，共識與心跳訊息優先，檔案資料不會擋住控制訊息
+class SendScheduler {
+    // options.getChannel(peerId, trafficClass): 回傳 { send(data), bufferedAmount }，節點已斷線時回傳 null
+    // options.onError(peerId, error): 送出失敗時呼叫
+    // options.highWaterMark: 控制通道緩衝超過此值時暫停送出
+    // options.bulkHighWaterMark: 大量資料通道的緩衝上限，保持較小，讓控制訊息不必排在大量資料後面
+    // options.retryDelay: 通道沒有觸發 bufferedamountlow 事件時，重新檢查緩衝的間隔
+    constructor(options = {}) {
+        this.getChannel = options.getChannel;
+        this.onError = options.onError || (() => {});
+        this.highWaterMark = options.highWaterMark || 1024 * 1024;
+        this.bulkHighWaterMark = options.bulkHighWaterMark || 256 * 1024;
+        this.retryDelay = options.retryDelay || 200;
+        this.queues = new Map(); // peerId -> 每個類別一個佇列，依 CLASSES 的優先順序排列
+        this.timers = new Map(); // peerId -> 等待緩衝消化後重試的計時器
+    }
+
+    // 依訊息類型決定類別，逐跳轉發的訊息以內層訊息的類型為準
+    static classify(message) {
+        const inner = message.type === 'routed' && message.payload ? message.payload : message;
+        // 加密訊息的類別由發送端在加密前決定
+        if (inner.type === 'encrypted') {
+            return SendScheduler.CLASSES.includes(inner.trafficClass) ? inner.trafficClass : 'control';
+        }
+
+        const type = inner.type;
+        if (SendScheduler.CONSENSUS_TYPES.includes(type)) return 'consensus';
+        if (SendScheduler.BULK_TYPES.includes(type)) return 'bulk';
+        return 'control';
+    }
+
+    // callback(error) 在資料交給通道或放棄送出時呼叫
+    enqueue(peerId, data, trafficClass = 'control', callback = null) {
+        let queues = this.queues.get(peerId);
+        if (!queues) {
+            queues = SendScheduler.CLASSES.map(() => []);
+            this.queues.set(peerId, queues);
+        }
+
+        queues[SendScheduler.CLASSES.indexOf(trafficClass)].push({ data, callback });
+        this.flush(peerId);
+    }
+
+    // 資料交給通道後才 resolve；通道緩衝超過上限時會一直等到緩衝消化，發送端依此控制速度
+    whenSent(peerId, data, trafficClass = 'control') {
+        return new Promise((resolve, reject) => {
+            this.enqueue(peerId, data, trafficClass, (error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    // 由高到低優先順序送出，通道緩衝已滿時暫停，等 bufferedamountlow 事件（或逾時重試）後繼續
+    flush(peerId) {
+        const queues = this.queues.get(peerId);
+        if (!queues) return;
+
+        clearTimeout(this.timers.get(peerId));
+        this.timers.delete(peerId);
+
+        for (let priority = 0; priority < queues.length; priority++) {
+            const trafficClass = SendScheduler.CLASSES[priority];
+            const queue = queues[priority];
+
+            while (queue.length > 0) {
+                const channel = this.getChannel(peerId, trafficClass);
+                if (!channel) {
+                    this.clear(peerId);
+                    return;
+                }
+
+                // 高優先的訊息還沒送完時不送低優先的訊息
+                const limit = trafficClass === 'bulk' ? this.bulkHighWaterMark : this.highWaterMark;
+                if (channel.bufferedAmount > limit) {
+                    this.timers.set(peerId, setTimeout(() => this.flush(peerId), this.retryDelay));
+                    return;
+                }
+
+                const { data, callback } = queue.shift();
+                try {
+                    channel.send(data);
+                } catch (error) {
+                    this.onError(peerId, error);
+                    if (callback) callback(error);
+                    continue;
+                }
+                if (callback) callback(null);
+            }
+        }
+
+        this.queues.delete(peerId);
+    }
+
+    // 丟棄尚未送出的訊息，等待中的發送端會收到錯誤
+    clear(peerId) {
+        clearTimeout(this.timers.get(peerId));
+        this.timers.delete(peerId);
+
+        const queues = this.queues.get(peerId);
+        this.queues.delete(peerId);
+        if (!queues) return;
+
+        const error = new Error(`與 ${peerId} 的連線已關閉`);
+        for (const queue of queues) {
+            for (const { callback } of queue) {
+                if (callback) callback(error);
+            }
+        }
+    }
+
+    clearAll() {
+        for (const peerId of Array.from(this.queues.keys())) {
+            this.clear(peerId);
+        }
+    }
+
+    // 各類別尚未送出的訊息數
+    getQueuedCount() {
+        const counts = Object.fromEntries(SendScheduler.CLASSES.map(trafficClass => [trafficClass, 0]));
+        for (const queues of this.queues.values()) {
+            queues.forEach((queue, priority) => {
+                counts[SendScheduler.CLASSES[priority]] += queue.length;
+            });
+        }
+        return counts;
+    }
+}
+
+// 由高到低的優先順序
+SendScheduler.CLASSES = ['consensus', 'control', 'bulk'];
+// 共識與心跳訊息
+SendScheduler.CONSENSUS_TYPES = ['ping', 'pong', 'leader-announcement', 'block-proposal', 'block-vote', 'new-block'];
+// 檔案塊與檔案錯誤走同一個通道，確保接收端依序收到
+SendScheduler.BULK_TYPES = ['file-chunk', 'file-error'];
+
+// 導出傳送排程器
+window.SendScheduler = SendScheduler;
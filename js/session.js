@@ -0,0 +1,199 @@
+// 節點間的加密工作階段 - 雙方以身分密鑰簽署一次性的 ECDH 公鑰並交換，推導兩個方向各自的 AES-GCM 金鑰。
+// 每則訊息以「訊息類別 + 計數器」作為 IV，接收端以滑動視窗拒絕重放的訊息
+class PeerSession {
+    constructor(identity, localId, remoteId) {
+        this.identity = identity;
+        this.localId = localId;
+        this.remoteId = remoteId;
+        this.keyPair = null; // 一次性的 ECDH 密鑰對，推導出金鑰後即丟棄
+        this.localEphemeralKey = null;
+        this.handshake = null; // 產生中的 key-exchange 訊息
+        this.sendKey = null;
+        this.receiveKey = null;
+        this.established = false;
+        this.remoteTimestamp = 0; // 最後接受的對方 key-exchange 時間，較舊的視為重放
+        this.remoteEphemeralKey = null; // 最後接受的對方一次性公鑰，時間相同時用來分辨重放
+        this.sendCounters = new Map(); // 訊息類別 -> 下一個計數器
+        this.replayWindows = new Map(); // 訊息類別 -> { highest, seen }
+        this.encryptQueue = Promise.resolve();
+        this.decryptQueue = Promise.resolve();
+
+        this.ready = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+        this.ready.catch(() => {});
+    }
+
+    // 產生要送給對方的 key-exchange 訊息，reply 表示回應對方發起的交換
+    createHandshake(reply = false) {
+        this.handshake = (async () => {
+            this.keyPair = await CryptoUtils.generateECDHKeyPair();
+            this.localEphemeralKey = this.identity.arrayBufferToBase64(
+                await CryptoUtils.exportECDHPublicKey(this.keyPair)
+            );
+
+            const signed = {
+                from: this.localId,
+                to: this.remoteId,
+                ephemeralKey: this.localEphemeralKey,
+                timestamp: Date.now(),
+                reply
+            };
+            return {
+                type: 'key-exchange',
+                ...signed,
+                publicKey: await this.identity.getPublicKeyString(),
+                signature: await this.identity.signData(signed)
+            };
+        })();
+        return this.handshake;
+    }
+
+    // 確認 key-exchange 由 remoteId 的身分密鑰簽署，且時間在允許範圍內
+    static async verifyHandshake(identity, message, localId, remoteId) {
+        const { from, to, ephemeralKey, timestamp, reply, publicKey, signature } = message;
+        if (from !== remoteId || to !== localId || typeof ephemeralKey !== 'string' ||
+            typeof timestamp !== 'number' || typeof publicKey !== 'string' || typeof signature !== 'string') {
+            return false;
+        }
+        if (Math.abs(Date.now() - timestamp) > PeerSession.MAX_CLOCK_SKEW) {
+            return false;
+        }
+
+        return await identity.verifySignatureFromAddress(
+            { from, to, ephemeralKey, timestamp, reply: !!reply },
+            signature,
+            publicKey,
+            from
+        );
+    }
+
+    // 收到對方已驗證的 key-exchange 後推導金鑰
+    async complete(message) {
+        await this.handshake;
+
+        // salt 綁定雙方的一次性公鑰，依節點 ID 排序讓兩端得到相同的值
+        const localKey = new Uint8Array(this.identity.base64ToArrayBuffer(this.localEphemeralKey));
+        const remoteKey = new Uint8Array(this.identity.base64ToArrayBuffer(message.ephemeralKey));
+        const [first, second] = this.localId < this.remoteId ? [localKey, remoteKey] : [remoteKey, localKey];
+        const salt = new Uint8Array(first.byteLength + second.byteLength);
+        salt.set(first, 0);
+        salt.set(second, first.byteLength);
+
+        const keys = await CryptoUtils.deriveSessionKeys(
+            this.keyPair.privateKey,
+            remoteKey,
+            this.localId,
+            this.remoteId,
+            salt
+        );
+        this.sendKey = keys.sendKey;
+        this.receiveKey = keys.receiveKey;
+        this.keyPair = null;
+        this.remoteTimestamp = message.timestamp;
+        this.remoteEphemeralKey = message.ephemeralKey;
+        this.established = true;
+        this.resolveReady(this);
+    }
+
+    fail(error) {
+        this.rejectReady(error);
+    }
+
+    // 依序加密，回傳 { envelope, ciphertext }；envelope 只包含排程所需的類別與計數器
+    encrypt(message, binary, trafficClass) {
+        const task = this.encryptQueue.then(async () => {
+            const counter = this.sendCounters.get(trafficClass) || 0;
+            this.sendCounters.set(trafficClass, counter + 1);
+
+            const plaintext = PeerSession.toBytes(WireProtocol.encode(message, binary));
+            const ciphertext = await CryptoUtils.encryptWithKey(
+                this.sendKey,
+                PeerSession.buildIv(trafficClass, counter),
+                plaintext
+            );
+            return { envelope: { type: 'encrypted', trafficClass, counter }, ciphertext };
+        });
+        this.encryptQueue = task.catch(() => {});
+        return task;
+    }
+
+    // 依收到的順序解密，回傳 { message, payload }；遭竄改或重放的訊息會拋出錯誤
+    decrypt(envelope, ciphertext) {
+        const task = this.decryptQueue.then(async () => {
+            await this.ready;
+
+            const { trafficClass, counter } = envelope;
+            if (!SendScheduler.CLASSES.includes(trafficClass) || !Number.isSafeInteger(counter) ||
+                counter < 0 || !ciphertext) {
+                throw new Error('加密訊息格式無效');
+            }
+            if (this.isReplay(trafficClass, counter)) {
+                throw new Error(`重放的訊息 (${trafficClass} #${counter})`);
+            }
+
+            const plaintext = await CryptoUtils.decryptWithKey(
+                this.receiveKey,
+                PeerSession.buildIv(trafficClass, counter),
+                ciphertext
+            );
+            this.markReceived(trafficClass, counter);
+            return WireProtocol.decode(new Uint8Array(plaintext));
+        });
+        this.decryptQueue = task.catch(() => {});
+        return task;
+    }
+
+    // 比視窗還舊或已收過的計數器都視為重放
+    isReplay(trafficClass, counter) {
+        const replayWindow = this.replayWindows.get(trafficClass);
+        if (!replayWindow) return false;
+        return counter <= replayWindow.highest - PeerSession.REPLAY_WINDOW || replayWindow.seen.has(counter);
+    }
+
+    markReceived(trafficClass, counter) {
+        let replayWindow = this.replayWindows.get(trafficClass);
+        if (!replayWindow) {
+            replayWindow = { highest: -1, seen: new Set() };
+            this.replayWindows.set(trafficClass, replayWindow);
+        }
+
+        replayWindow.seen.add(counter);
+        if (counter > replayWindow.highest) {
+            replayWindow.highest = counter;
+        }
+
+        // 視窗以外的紀錄已不需要，累積到一定數量時一次清除
+        if (replayWindow.seen.size > PeerSession.REPLAY_WINDOW * 2) {
+            const floor = replayWindow.highest - PeerSession.REPLAY_WINDOW;
+            for (const seen of replayWindow.seen) {
+                if (seen <= floor) {
+                    replayWindow.seen.delete(seen);
+                }
+            }
+        }
+    }
+
+    // 12 bytes 的 IV：[4 bytes 類別][8 bytes 計數器]，兩個方向使用不同金鑰，因此不會重複
+    static buildIv(trafficClass, counter) {
+        const iv = new Uint8Array(12);
+        const view = new DataView(iv.buffer);
+        view.setUint32(0, SendScheduler.CLASSES.indexOf(trafficClass));
+        view.setUint32(4, Math.floor(counter / 0x100000000));
+        view.setUint32(8, counter >>> 0);
+        return iv;
+    }
+
+    static toBytes(data) {
+        return typeof data === 'string' ? WireProtocol.textEncoder.encode(data) : data;
+    }
+}
+
+// 每個訊息類別可接受的亂序範圍
+PeerSession.REPLAY_WINDOW = 1024;
+// key-exchange 的時間與本機時間最多相差多久（毫秒）
+PeerSession.MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// 導出加密工作階段
+window.PeerSession = PeerSession;
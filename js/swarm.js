@@ -0,0 +1,337 @@
+// 多來源下載排程 - 決定每個檔案塊向哪個節點要求。優先要求擁有者最少的檔案塊（rarest-first），
+// 缺少的檔案塊都已要求過時進入 endgame，向其他節點重複要求，避免整個下載被最慢的節點拖住
+class SwarmScheduler {
+    // options.maxRequestsPerPeer: 每個節點同時進行中的檔案塊要求數
+    // options.requestTimeout: 要求多久沒有回應就改向其他節點要求（毫秒）
+    // options.maxEndgameRequests: endgame 時每個檔案塊最多同時向幾個節點要求
+    // options.maxTimeouts: 節點的要求連續逾時幾次後不再視為擁有者
+    constructor(options = {}) {
+        this.maxRequestsPerPeer = options.maxRequestsPerPeer || 8;
+        this.requestTimeout = options.requestTimeout || 30000;
+        this.maxEndgameRequests = options.maxEndgameRequests || 2;
+        this.maxTimeouts = options.maxTimeouts || 3;
+    }
+
+    // download: { bitmap, requests, swarm }，requests 為 Map(chunkIndex -> Map(peerId -> 要求時間))，
+    // swarm 為排程狀態，第一次排程時建立
+    // sources: Map(peerId -> ChunkBitmap 或 null)，null 表示對方擁有完整檔案
+    // 回傳 Map(peerId -> [chunkIndex])，並記錄到 download.requests。
+    // 只有還有空位的節點會分配到檔案塊，依擁有者數量由少到多取出還沒要求過的檔案塊，不會走過整個檔案
+    schedule(download, sources) {
+        const state = this.prepare(download, sources);
+        this.syncSources(download, sources);
+        const now = Date.now();
+        this.expireRequests(download, now);
+
+        const assignments = new Map();
+        const hasCapacity = peerId => (state.inFlight.get(peerId) || 0) < this.maxRequestsPerPeer;
+        // 只考慮還有空位、而且擁有尚未要求的檔案塊的節點
+        let idle = Array.from(state.sources.keys()).filter(peerId => hasCapacity(peerId) && state.available.get(peerId) > 0);
+
+        const assign = (chunkIndex, candidates) => {
+            const available = candidates.filter(hasCapacity);
+            if (available.length === 0) return false;
+
+            // 交給目前負擔最輕的節點
+            const peerId = available.reduce((best, candidate) => (
+                (state.inFlight.get(candidate) || 0) < (state.inFlight.get(best) || 0) ? candidate : best
+            ));
+            state.inFlight.set(peerId, (state.inFlight.get(peerId) || 0) + 1);
+            if (!assignments.has(peerId)) {
+                assignments.set(peerId, []);
+            }
+            assignments.get(peerId).push(chunkIndex);
+
+            if (!download.requests.has(chunkIndex)) {
+                download.requests.set(chunkIndex, new Map());
+                this.unqueue(state, chunkIndex);
+            }
+            download.requests.get(chunkIndex).set(peerId, now);
+            idle = idle.filter(candidate => hasCapacity(candidate) && state.available.get(candidate) > 0);
+            return true;
+        };
+
+        // 擁有者為 0 的檔案塊暫時無法要求，從 1 開始
+        for (let count = 1; count < state.queues.length && idle.length > 0; count++) {
+            const queue = state.queues[count];
+            if (!queue) continue;
+            for (const chunkIndex of queue) {
+                assign(chunkIndex, idle.filter(peerId => SwarmScheduler.holds(state, peerId, chunkIndex)));
+                if (idle.length === 0) break;
+            }
+        }
+
+        // endgame：所有缺少的檔案塊都已經要求過，閒置的節點重複要求還沒收到的檔案塊；
+        // 此時缺少的檔案塊都在進行中，數量不超過所有節點的要求上限
+        if (state.queues.every(queue => !queue || queue.size === 0)) {
+            idle = Array.from(state.sources.keys()).filter(hasCapacity);
+            for (const chunkIndex of state.missing) {
+                const requesters = download.requests.get(chunkIndex);
+                if (requesters.size >= this.maxEndgameRequests) continue;
+                assign(chunkIndex, idle.filter(peerId => (
+                    !requesters.has(peerId) && SwarmScheduler.holds(state, peerId, chunkIndex)
+                )));
+                if (idle.length === 0) break;
+            }
+        }
+
+        return assignments;
+    }
+
+    // 由位元圖、擁有者與進行中的要求建立排程狀態，之後由 syncSources、addHolding 與 complete 增量更新：
+    // missing 為缺少的檔案塊；holders 為每個檔案塊的擁有者數量；queues[n] 為擁有者數量為 n、還沒要求過的缺少檔案塊；
+    // available 為每個節點擁有、且還在佇列中的檔案塊數量；timeouts 為每個節點的要求連續逾時的次數
+    prepare(download, sources) {
+        if (download.swarm) return download.swarm;
+
+        const { bitmap, requests } = download;
+        const state = {
+            sources: new Map(),
+            missing: new Set(),
+            holders: new Uint16Array(bitmap.totalChunks),
+            queues: [],
+            available: new Map(),
+            timeouts: new Map(),
+            inFlight: new Map() // peerId -> 進行中的要求數
+        };
+        download.swarm = state;
+
+        // 以隨機順序加入佇列，擁有者數量相同時讓不同下載者從不同的檔案塊開始
+        const missing = [];
+        for (let chunkIndex = 0; chunkIndex < bitmap.totalChunks; chunkIndex++) {
+            if (!bitmap.has(chunkIndex)) {
+                missing.push(chunkIndex);
+            }
+        }
+        for (const chunkIndex of PeerTopology.shuffle(missing)) {
+            state.missing.add(chunkIndex);
+        }
+
+        for (const [peerId, source] of sources) {
+            state.sources.set(peerId, source);
+            state.available.set(peerId, 0);
+            for (const chunkIndex of state.missing) {
+                if (source === null || source.has(chunkIndex)) {
+                    state.holders[chunkIndex]++;
+                }
+            }
+        }
+
+        for (const [chunkIndex, requesters] of requests) {
+            for (const peerId of requesters.keys()) {
+                state.inFlight.set(peerId, (state.inFlight.get(peerId) || 0) + 1);
+            }
+        }
+        for (const chunkIndex of state.missing) {
+            if (!requests.has(chunkIndex)) {
+                this.enqueue(state, chunkIndex);
+            }
+        }
+        return state;
+    }
+
+    // 擁有者加入、離開或送來新的位元圖時更新擁有者數量；位元圖內容的變化由 addHolding 通知
+    syncSources(download, sources) {
+        const state = download.swarm;
+        for (const peerId of Array.from(state.sources.keys())) {
+            if (!sources.has(peerId)) {
+                this.removeSource(download, peerId);
+            }
+        }
+        for (const [peerId, source] of sources) {
+            if (state.sources.get(peerId) !== source) {
+                this.addSource(download, peerId, source);
+            }
+        }
+    }
+
+    // 位元圖被替換（例如從下載暫存載入）後捨棄排程狀態，下次排程時重新建立
+    reset(download) {
+        download.swarm = null;
+    }
+
+    // 新的擁有者，或既有擁有者重新提供檔案；重新提供表示對方還在線上，逾時次數重新計算
+    addSource(download, peerId, source) {
+        const state = download.swarm;
+        if (!state) return;
+
+        state.timeouts.delete(peerId);
+        this.forgetHoldings(state, peerId);
+        state.sources.set(peerId, source);
+        let available = 0;
+        for (const chunkIndex of state.missing) {
+            if (source === null || source.has(chunkIndex)) {
+                this.changeHolders(state, chunkIndex, 1);
+                if (this.isQueued(state, chunkIndex)) {
+                    available++;
+                }
+            }
+        }
+        state.available.set(peerId, available);
+    }
+
+    // 節點不再提供檔案：不再計入擁有者，並把它負責的檔案塊交還給其他節點
+    removeSource(download, peerId) {
+        const state = download.swarm;
+        if (state) {
+            this.forgetHoldings(state, peerId);
+            state.sources.delete(peerId);
+            state.available.delete(peerId);
+            state.timeouts.delete(peerId);
+        }
+        this.releasePeer(download, peerId);
+    }
+
+    // 擁有者收到新的檔案塊（file-have），位元圖已由呼叫端更新
+    addHolding(download, peerId, chunkIndex) {
+        const state = download.swarm;
+        if (state && state.sources.has(peerId) && state.missing.has(chunkIndex)) {
+            this.changeHolders(state, chunkIndex, 1);
+            if (this.isQueued(state, chunkIndex)) {
+                state.available.set(peerId, state.available.get(peerId) + 1);
+            }
+        }
+    }
+
+    // peerId 送來檔案塊，不再等待其他節點的回應
+    complete(download, chunkIndex, peerId) {
+        const state = download.swarm;
+        const requesters = download.requests.get(chunkIndex);
+        if (state) {
+            state.timeouts.delete(peerId);
+        }
+        if (requesters && state) {
+            for (const peerId of requesters.keys()) {
+                this.decrementInFlight(state, peerId);
+            }
+        }
+        download.requests.delete(chunkIndex);
+
+        if (state && state.missing.delete(chunkIndex)) {
+            this.unqueue(state, chunkIndex);
+        }
+    }
+
+    // 節點離開或回報錯誤時，把它負責的檔案塊交還給其他節點
+    releasePeer(download, peerId) {
+        for (const [chunkIndex, requesters] of download.requests) {
+            if (requesters.has(peerId)) {
+                this.dropRequest(download, chunkIndex, peerId);
+            }
+        }
+    }
+
+    // 逾時的要求交還給其他節點。同一次檢查中逾時的要求對每個節點只計一次，
+    // 回傳連續逾時達 maxTimeouts 次、應該不再視為擁有者的節點
+    expireRequests(download, now = Date.now()) {
+        const expired = new Set();
+        for (const [chunkIndex, requesters] of download.requests) {
+            for (const [peerId, requestedAt] of requesters) {
+                if (now - requestedAt > this.requestTimeout) {
+                    this.dropRequest(download, chunkIndex, peerId);
+                    expired.add(peerId);
+                }
+            }
+        }
+
+        const state = download.swarm;
+        const unresponsive = [];
+        if (!state) return unresponsive;
+        for (const peerId of expired) {
+            const count = (state.timeouts.get(peerId) || 0) + 1;
+            state.timeouts.set(peerId, count);
+            if (count >= this.maxTimeouts) {
+                unresponsive.push(peerId);
+            }
+        }
+        return unresponsive;
+    }
+
+    // 沒有節點負責的檔案塊放回佇列，讓其他節點要求
+    dropRequest(download, chunkIndex, peerId) {
+        const state = download.swarm;
+        const requesters = download.requests.get(chunkIndex);
+        requesters.delete(peerId);
+        if (state) {
+            this.decrementInFlight(state, peerId);
+        }
+        if (requesters.size === 0) {
+            download.requests.delete(chunkIndex);
+            if (state && state.missing.has(chunkIndex)) {
+                this.enqueue(state, chunkIndex);
+            }
+        }
+    }
+
+    decrementInFlight(state, peerId) {
+        const count = (state.inFlight.get(peerId) || 0) - 1;
+        if (count > 0) {
+            state.inFlight.set(peerId, count);
+        } else {
+            state.inFlight.delete(peerId);
+        }
+    }
+
+    forgetHoldings(state, peerId) {
+        if (!state.sources.has(peerId)) return;
+
+        const source = state.sources.get(peerId);
+        for (const chunkIndex of state.missing) {
+            if (source === null || source.has(chunkIndex)) {
+                this.changeHolders(state, chunkIndex, -1);
+            }
+        }
+    }
+
+    // 更新擁有者數量，還在佇列中的檔案塊移到對應的佇列；available 由呼叫端負責
+    changeHolders(state, chunkIndex, delta) {
+        const queue = state.queues[state.holders[chunkIndex]];
+        const queued = queue ? queue.delete(chunkIndex) : false;
+        state.holders[chunkIndex] += delta;
+        if (queued) {
+            this.queueFor(state, chunkIndex).add(chunkIndex);
+        }
+    }
+
+    // 缺少且沒有節點負責的檔案塊放進佇列，擁有它的節點可以再分到一個檔案塊
+    enqueue(state, chunkIndex) {
+        this.queueFor(state, chunkIndex).add(chunkIndex);
+        this.updateAvailable(state, chunkIndex, 1);
+    }
+
+    unqueue(state, chunkIndex) {
+        const queue = state.queues[state.holders[chunkIndex]];
+        if (!queue || !queue.delete(chunkIndex)) return false;
+        this.updateAvailable(state, chunkIndex, -1);
+        return true;
+    }
+
+    updateAvailable(state, chunkIndex, delta) {
+        for (const peerId of state.sources.keys()) {
+            if (SwarmScheduler.holds(state, peerId, chunkIndex)) {
+                state.available.set(peerId, state.available.get(peerId) + delta);
+            }
+        }
+    }
+
+    queueFor(state, chunkIndex) {
+        const count = state.holders[chunkIndex];
+        if (!state.queues[count]) {
+            state.queues[count] = new Set();
+        }
+        return state.queues[count];
+    }
+
+    isQueued(state, chunkIndex) {
+        const queue = state.queues[state.holders[chunkIndex]];
+        return queue ? queue.has(chunkIndex) : false;
+    }
+
+    static holds(state, peerId, chunkIndex) {
+        const source = state.sources.get(peerId);
+        return source === null || (source !== undefined && source.has(chunkIndex));
+    }
+}
+
+// 導出多來源下載排程
+window.SwarmScheduler = SwarmScheduler;
@@ -0,0 +1,93 @@
+// 網路拓撲模組 - 部分網狀連線的節點數上限與節點選擇策略
+class PeerTopology {
+    // options.maxPeers: 主動維持的連線數，不足時從已知節點中補足
+    // options.maxConnections: 連線總數上限（包含其他節點發起的連線），預設為 maxPeers 的兩倍
+    // options.strategy: 選擇節點的策略，見 PeerTopology.STRATEGIES
+    constructor(options = {}) {
+        this.maxPeers = options.maxPeers || 6;
+        this.maxConnections = options.maxConnections || this.maxPeers * 2;
+        this.strategy = options.strategy || 'random';
+        this.latencies = new Map(); // peerId -> 最近一次測得的延遲（毫秒）
+
+        if (!PeerTopology.STRATEGIES.includes(this.strategy)) {
+            throw new Error(`未知的節點選擇策略: ${this.strategy}`);
+        }
+    }
+
+    recordLatency(peerId, latency) {
+        this.latencies.set(peerId, latency);
+    }
+
+    // 從候選節點中選出最多 count 個要連線的節點
+    selectPeers(selfId, candidates, count) {
+        if (count <= 0 || candidates.length === 0) return [];
+
+        switch (this.strategy) {
+            case 'latency':
+                return this.selectByLatency(candidates, count);
+            case 'xor':
+                return this.selectByXorDistance(selfId, candidates, count);
+            default:
+                return PeerTopology.shuffle(candidates).slice(0, count);
+        }
+    }
+
+    // 優先選擇延遲較低的節點，沒有量測資料的節點隨機排在後面
+    selectByLatency(candidates, count) {
+        const measured = candidates
+            .filter(peerId => this.latencies.has(peerId))
+            .sort((a, b) => this.latencies.get(a) - this.latencies.get(b));
+        const unmeasured = PeerTopology.shuffle(candidates.filter(peerId => !this.latencies.has(peerId)));
+
+        return [...measured, ...unmeasured].slice(0, count);
+    }
+
+    // 類似 Kademlia：依 XOR 距離的位元長度分桶，由近到遠輪流從每個桶取最近的節點，
+    // 讓每個節點同時連到 ID 相近與相距很遠的節點
+    selectByXorDistance(selfId, candidates, count) {
+        const buckets = new Map(); // 距離位元長度 -> [{ peerId, distance }]
+        for (const peerId of candidates) {
+            const distance = PeerTopology.xorDistance(selfId, peerId);
+            const bucket = distance.toString(2).length;
+            if (!buckets.has(bucket)) {
+                buckets.set(bucket, []);
+            }
+            buckets.get(bucket).push({ peerId, distance });
+        }
+
+        const ordered = Array.from(buckets.keys())
+            .sort((a, b) => a - b)
+            .map(bucket => buckets.get(bucket).sort((a, b) => (a.distance < b.distance ? -1 : 1)));
+
+        const selected = [];
+        for (let round = 0; selected.length < count; round++) {
+            const picked = ordered.filter(bucket => round < bucket.length);
+            if (picked.length === 0) break;
+
+            for (const bucket of picked) {
+                if (selected.length === count) break;
+                selected.push(bucket[round].peerId);
+            }
+        }
+        return selected;
+    }
+
+    // 兩個十六進位節點 ID 的 XOR 距離
+    static xorDistance(a, b) {
+        return BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    }
+
+    static shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+PeerTopology.STRATEGIES = ['random', 'latency', 'xor'];
+
+// 導出網路拓撲
+window.PeerTopology = PeerTopology;
\ No newline at end of file
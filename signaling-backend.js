@@ -0,0 +1,361 @@
+// 信令伺服器後端 - 管理節點在線狀態與跨伺服器的訊息轉發
+//
+// 後端介面（SignalingServer 只透過這些方法存取在線狀態）：
+//   start() / stop()                      啟動與關閉
+//   addMember(roomId, nodeId, presence)   本機節點註冊，presence 為 { publicKey, nonce, signature } 註冊證明，
+//                                         以及 { resumeToken, resumed } 恢復工作階段所需的資訊
+//   removeMember(roomId, nodeId)          本機節點離開
+//   getMembers(roomId)                    房間內所有節點（包含其他伺服器上的節點）
+//   getMembership()                       { roomId: [nodeId] }
+//   relay(roomId, nodeId, message)        轉發訊息給其他伺服器上的節點，目標未知時回傳 false
+//   getRemotePresence(roomId, nodeId)     其他伺服器上的節點最後宣告的 presence，不存在時回傳 null
+//   verifyPresence(roomId, nodeId, presence)  由 SignalingServer 設定，驗證其他伺服器宣告的節點註冊證明
+// 事件：
+//   'peer-joined'                { roomId, nodeId, resumed }  其他伺服器上的節點加入，resumed 表示恢復原本的工作階段
+//   'peer-left'                  { roomId, nodeId }           其他伺服器上的節點離開
+//   'deliver'                    { roomId, nodeId, message }  其他伺服器轉發給本機節點的訊息
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// 單一伺服器使用的記憶體後端
+class MemoryBackend extends EventEmitter {
+    constructor() {
+        super();
+        this.members = new Map(); // roomId -> Set(nodeId)
+    }
+
+    async start() {}
+
+    async stop() {
+        this.members.clear();
+    }
+
+    addMember(roomId, nodeId, presence = null) {
+        if (!this.members.has(roomId)) {
+            this.members.set(roomId, new Set());
+        }
+        this.members.get(roomId).add(nodeId);
+    }
+
+    removeMember(roomId, nodeId) {
+        const room = this.members.get(roomId);
+        if (!room) return;
+
+        room.delete(nodeId);
+        if (room.size === 0) {
+            this.members.delete(roomId);
+        }
+    }
+
+    getMembers(roomId) {
+        const room = this.members.get(roomId);
+        return room ? Array.from(room) : [];
+    }
+
+    getMembership() {
+        const membership = {};
+        for (const [roomId, room] of this.members) {
+            membership[roomId] = Array.from(room);
+        }
+        return membership;
+    }
+
+    relay(roomId, nodeId, message) {
+        // 只有一個伺服器，不存在遠端節點
+        return false;
+    }
+
+    getRemotePresence(roomId, nodeId) {
+        return null;
+    }
+}
+
+// 以 Redis 風格的 pub/sub 串連多個伺服器實例
+// publisher 與 subscriber 需提供 ioredis 的介面：publish(channel, message)、subscribe(channel)、
+// quit() 以及 subscriber.on('message', (channel, message) => {})
+class PubSubBackend extends EventEmitter {
+    constructor({ publisher, subscriber, serverId, channelPrefix = 'p2pme', heartbeatInterval = 10000 }) {
+        super();
+        this.publisher = publisher;
+        this.subscriber = subscriber;
+        this.serverId = serverId || crypto.randomBytes(8).toString('hex');
+        this.channelPrefix = channelPrefix;
+        this.heartbeatInterval = heartbeatInterval;
+        this.localMembers = new Map(); // roomId -> Map(nodeId -> presence)
+        this.remoteMembers = new Map(); // roomId -> Map(nodeId -> { serverId, presence })
+        this.serverLastSeen = new Map(); // serverId -> timestamp
+        this.heartbeatTimer = null;
+        // 未通過驗證的節點不會登記為遠端成員，也不會讓本機的連線被關閉
+        this.verifyPresence = () => false;
+
+        this.presenceChannel = `${channelPrefix}:presence`;
+        this.serverChannel = this.getServerChannel(this.serverId);
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    getServerChannel(serverId) {
+        return `${this.channelPrefix}:server:${serverId}`;
+    }
+
+    async start() {
+        this.subscriber.on('message', this.handleMessage);
+        await this.subscriber.subscribe(this.presenceChannel, this.serverChannel);
+
+        this.resync();
+
+        this.heartbeatTimer = setInterval(() => {
+            this.publish(this.presenceChannel, { kind: 'heartbeat' });
+            this.expireServers();
+        }, this.heartbeatInterval);
+    }
+
+    async stop() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        // 通知其他伺服器本機節點全部離線
+        await this.publish(this.presenceChannel, { kind: 'server-down' });
+
+        this.subscriber.removeListener('message', this.handleMessage);
+        await this.subscriber.quit();
+        await this.publisher.quit();
+
+        this.localMembers.clear();
+        this.remoteMembers.clear();
+        this.serverLastSeen.clear();
+    }
+
+    // 向其他伺服器索取目前的在線節點，與新的伺服器建立連線後也應呼叫
+    resync() {
+        return this.publish(this.presenceChannel, { kind: 'sync-request' });
+    }
+
+    addMember(roomId, nodeId, presence = null) {
+        if (!this.localMembers.has(roomId)) {
+            this.localMembers.set(roomId, new Map());
+        }
+        this.localMembers.get(roomId).set(nodeId, presence);
+        this.removeRemoteMember(roomId, nodeId);
+
+        this.publish(this.presenceChannel, { kind: 'join', roomId, nodeId, presence });
+    }
+
+    removeMember(roomId, nodeId) {
+        if (!this.removeLocalMember(roomId, nodeId)) return;
+        this.publish(this.presenceChannel, { kind: 'leave', roomId, nodeId });
+    }
+
+    getMembers(roomId) {
+        const local = this.localMembers.get(roomId);
+        const members = new Set(local ? local.keys() : []);
+        const remote = this.remoteMembers.get(roomId);
+        if (remote) {
+            for (const nodeId of remote.keys()) {
+                members.add(nodeId);
+            }
+        }
+        return Array.from(members);
+    }
+
+    getMembership() {
+        const membership = {};
+        const roomIds = new Set([...this.localMembers.keys(), ...this.remoteMembers.keys()]);
+        for (const roomId of roomIds) {
+            membership[roomId] = this.getMembers(roomId);
+        }
+        return membership;
+    }
+
+    relay(roomId, nodeId, message) {
+        const remote = this.remoteMembers.get(roomId);
+        const member = remote && remote.get(nodeId);
+        if (!member) return false;
+
+        this.publish(this.getServerChannel(member.serverId), { kind: 'relay', roomId, nodeId, message });
+        return true;
+    }
+
+    // 節點斷線後改連到其他伺服器時，以這裡的恢復令牌確認是否能沿用原本的工作階段
+    getRemotePresence(roomId, nodeId) {
+        const remote = this.remoteMembers.get(roomId);
+        const member = remote && remote.get(nodeId);
+        return member ? member.presence : null;
+    }
+
+    async publish(channel, payload) {
+        try {
+            await this.publisher.publish(channel, JSON.stringify({ ...payload, serverId: this.serverId }));
+        } catch (error) {
+            console.error(`發布到 ${channel} 失敗:`, error);
+        }
+    }
+
+    handleMessage(channel, data) {
+        if (channel !== this.presenceChannel && channel !== this.serverChannel) return;
+
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch (error) {
+            console.error('解析後端訊息失敗:', error);
+            return;
+        }
+
+        const { kind, serverId, roomId, nodeId } = payload;
+        if (serverId === this.serverId) return;
+        this.serverLastSeen.set(serverId, Date.now());
+
+        switch (kind) {
+            case 'join':
+                if (!this.verifyPresence(roomId, nodeId, payload.presence)) {
+                    console.log(`忽略伺服器 ${serverId} 宣告的節點 ${nodeId}: 註冊證明無效`);
+                    break;
+                }
+                // 節點改連到其他伺服器時，本機的舊連線由 SignalingServer 關閉
+                this.removeLocalMember(roomId, nodeId);
+                this.setRemoteMember(roomId, nodeId, serverId, payload.presence);
+                this.emit('peer-joined', { roomId, nodeId, resumed: !!payload.presence.resumed });
+                break;
+            case 'leave':
+                if (this.removeRemoteMember(roomId, nodeId, serverId)) {
+                    this.emit('peer-left', { roomId, nodeId });
+                }
+                break;
+            case 'relay':
+                this.emit('deliver', { roomId, nodeId, message: payload.message });
+                break;
+            case 'sync-request':
+                this.publish(this.getServerChannel(serverId), {
+                    kind: 'sync',
+                    members: this.getLocalMemberList()
+                });
+                break;
+            case 'sync':
+                for (const member of payload.members) {
+                    if (this.verifyPresence(member.roomId, member.nodeId, member.presence)) {
+                        this.setRemoteMember(member.roomId, member.nodeId, serverId, member.presence);
+                    }
+                }
+                break;
+            case 'server-down':
+                this.removeServer(serverId);
+                break;
+        }
+    }
+
+    getLocalMemberList() {
+        const members = [];
+        for (const [roomId, room] of this.localMembers) {
+            for (const [nodeId, presence] of room) {
+                members.push({ roomId, nodeId, presence });
+            }
+        }
+        return members;
+    }
+
+    removeLocalMember(roomId, nodeId) {
+        const room = this.localMembers.get(roomId);
+        if (!room || !room.delete(nodeId)) return false;
+
+        if (room.size === 0) {
+            this.localMembers.delete(roomId);
+        }
+        return true;
+    }
+
+    setRemoteMember(roomId, nodeId, serverId, presence) {
+        if (!this.remoteMembers.has(roomId)) {
+            this.remoteMembers.set(roomId, new Map());
+        }
+        this.remoteMembers.get(roomId).set(nodeId, { serverId, presence });
+    }
+
+    // serverId 有值時，只移除登記在該伺服器上的節點
+    removeRemoteMember(roomId, nodeId, serverId = null) {
+        const room = this.remoteMembers.get(roomId);
+        if (!room || !room.has(nodeId)) return false;
+        if (serverId && room.get(nodeId).serverId !== serverId) return false;
+
+        room.delete(nodeId);
+        if (room.size === 0) {
+            this.remoteMembers.delete(roomId);
+        }
+        return true;
+    }
+
+    // 移除某個伺服器上的所有節點
+    removeServer(serverId) {
+        this.serverLastSeen.delete(serverId);
+
+        for (const [roomId, room] of this.remoteMembers) {
+            for (const [nodeId, member] of room) {
+                if (member.serverId === serverId) {
+                    this.removeRemoteMember(roomId, nodeId, serverId);
+                    this.emit('peer-left', { roomId, nodeId });
+                }
+            }
+        }
+    }
+
+    // 超過三個心跳週期沒有消息的伺服器視為已離線
+    expireServers() {
+        const deadline = Date.now() - this.heartbeatInterval * 3;
+        for (const [serverId, lastSeen] of this.serverLastSeen) {
+            if (lastSeen < deadline) {
+                console.log(`伺服器 ${serverId} 已逾時，移除其節點`);
+                this.removeServer(serverId);
+            }
+        }
+    }
+}
+
+// 行程內的假 pub/sub，介面與 ioredis 相同，可用於測試或在同一行程內串連多個伺服器
+class FakePubSub {
+    constructor() {
+        this.clients = new Set();
+    }
+
+    createClient() {
+        const broker = this;
+        const client = new EventEmitter();
+        client.channels = new Set();
+
+        client.subscribe = async (...channels) => {
+            channels.forEach(channel => client.channels.add(channel));
+            broker.clients.add(client);
+            return client.channels.size;
+        };
+
+        client.unsubscribe = async (...channels) => {
+            channels.forEach(channel => client.channels.delete(channel));
+            return client.channels.size;
+        };
+
+        client.publish = async (channel, message) => {
+            let receivers = 0;
+            for (const subscriber of broker.clients) {
+                if (subscriber.channels.has(channel)) {
+                    receivers++;
+                    // 非同步投遞，模擬網路延遲
+                    setImmediate(() => subscriber.emit('message', channel, message));
+                }
+            }
+            return receivers;
+        };
+
+        client.quit = async () => {
+            broker.clients.delete(client);
+            return 'OK';
+        };
+
+        return client;
+    }
+}
+
+module.exports = {
+    MemoryBackend,
+    PubSubBackend,
+    FakePubSub
+};
@@ -0,0 +1,277 @@
+// 區域網路探索 - 以 mDNS/DNS-SD (_p2pme._tcp) 宣告信令伺服器，並與同網段的其他伺服器互連
+//
+// LanPubSub 提供與 ioredis 相同的 publish/subscribe 介面，可直接作為 PubSubBackend 的
+// publisher 與 subscriber；發布的訊息會送到所有互連的伺服器。
+// LanDiscovery 負責 mDNS 宣告與探索，找到其他伺服器後以 WebSocket 連到對方的 LAN_PATH。
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const crypto = require('crypto');
+
+// 伺服器之間互連使用的 WebSocket 路徑
+const LAN_PATH = '/lan';
+// DNS-SD 服務類型，即 _p2pme._tcp
+const SERVICE_TYPE = 'p2pme';
+
+class LanPubSub extends EventEmitter {
+    // secret: 互連時驗證對方的共用密鑰。互連的伺服器可以宣告節點上線並轉發信令，因此不接受沒有密鑰的設定。
+    // 密鑰本身不會送出：雙方各自產生 nonce，再以密鑰對雙方的 ID 與 nonce 計算 HMAC 證明自己持有密鑰
+    // serverId: 本機伺服器的 ID，與 PubSubBackend 的 serverId 相同
+    constructor({ secret = null, serverId, handshakeTimeout = 10000 } = {}) {
+        super();
+        if (!secret) {
+            throw new Error('區域網路互連需要設定共用密鑰');
+        }
+        this.secret = secret;
+        this.serverId = serverId;
+        this.handshakeTimeout = handshakeTimeout;
+        this.channels = new Set();
+        this.links = new Map(); // serverId -> 已通過驗證的 WebSocket
+        this.dialing = new Set(); // 主動連線中、尚未完成交握的 serverId
+    }
+
+    async subscribe(...channels) {
+        channels.forEach(channel => this.channels.add(channel));
+        return this.channels.size;
+    }
+
+    async unsubscribe(...channels) {
+        channels.forEach(channel => this.channels.delete(channel));
+        return this.channels.size;
+    }
+
+    async publish(channel, message) {
+        const data = JSON.stringify({ channel, message });
+        let receivers = 0;
+        for (const ws of this.links.values()) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+                receivers++;
+            }
+        }
+        return receivers;
+    }
+
+    // PubSubBackend 會分別對 publisher 與 subscriber 呼叫 quit，重複呼叫不影響
+    async quit() {
+        for (const ws of this.links.values()) {
+            ws.close();
+        }
+        this.links.clear();
+        return 'OK';
+    }
+
+    // 接受其他伺服器連到 LAN_PATH 的連線：對方在標頭帶上自己的 ID 與 nonce，這裡回覆自己的 nonce 與證明，
+    // 對方回傳的證明也通過驗證後才開始轉發訊息
+    acceptLink(ws, req) {
+        const remoteId = req.headers['x-p2pme-server-id'];
+        const remoteNonce = req.headers['x-p2pme-nonce'];
+        if (!remoteId || remoteId === this.serverId || !LanPubSub.isValidNonce(remoteNonce)) {
+            console.log('拒絕格式錯誤的伺服器互連');
+            ws.close(1008, 'Unauthorized');
+            return;
+        }
+
+        const nonce = LanPubSub.createNonce();
+        const handshake = { dialerId: remoteId, acceptorId: this.serverId, dialerNonce: remoteNonce, acceptorNonce: nonce };
+        ws.send(JSON.stringify({ type: 'auth-challenge', nonce, proof: this.createProof('acceptor', handshake) }));
+
+        this.handshake(remoteId, ws, false, (message) => {
+            return message.type === 'auth-response' && this.verifyProof('dialer', handshake, message.proof);
+        });
+    }
+
+    // 主動連線到其他伺服器，先確認對方持有密鑰才回傳自己的證明
+    connect(remoteId, url) {
+        if (this.links.has(remoteId) || this.dialing.has(remoteId)) return;
+        this.dialing.add(remoteId);
+
+        const nonce = LanPubSub.createNonce();
+        const ws = new WebSocket(url, {
+            headers: { 'x-p2pme-server-id': this.serverId, 'x-p2pme-nonce': nonce }
+        });
+
+        this.handshake(remoteId, ws, true, (message) => {
+            if (message.type !== 'auth-challenge' || !LanPubSub.isValidNonce(message.nonce)) return false;
+
+            const handshake = { dialerId: this.serverId, acceptorId: remoteId, dialerNonce: nonce, acceptorNonce: message.nonce };
+            if (!this.verifyProof('acceptor', handshake, message.proof)) return false;
+
+            ws.send(JSON.stringify({ type: 'auth-response', proof: this.createProof('dialer', handshake) }));
+            return true;
+        });
+    }
+
+    // 第一則訊息交給 authenticate 驗證，通過後才加入互連並轉發之後的訊息；逾時或驗證失敗即關閉連線。
+    // 主動連線失敗時同樣觸發 link-closed，讓 LanDiscovery 稍後重試
+    handshake(remoteId, ws, dialed, authenticate) {
+        let authenticated = false;
+        const timer = setTimeout(() => {
+            console.log(`與區域網路信令伺服器 ${remoteId} 的交握逾時`);
+            ws.terminate();
+        }, this.handshakeTimeout);
+
+        ws.on('message', (data) => {
+            let payload;
+            try {
+                payload = JSON.parse(data.toString());
+            } catch (error) {
+                console.error(`解析伺服器 ${remoteId} 的訊息失敗:`, error);
+                return;
+            }
+
+            if (authenticated) {
+                if (this.channels.has(payload.channel)) {
+                    this.emit('message', payload.channel, payload.message);
+                }
+                return;
+            }
+
+            clearTimeout(timer);
+            if (!payload || !authenticate(payload)) {
+                console.log(`伺服器 ${remoteId} 的互連證明無效`);
+                ws.close(1008, 'Unauthorized');
+                return;
+            }
+            authenticated = true;
+            this.dialing.delete(remoteId);
+            this.addLink(remoteId, ws);
+        });
+
+        ws.on('close', () => {
+            clearTimeout(timer);
+            if (this.links.get(remoteId) === ws) {
+                this.links.delete(remoteId);
+                console.log(`與區域網路信令伺服器 ${remoteId} 的連線已關閉`);
+                this.emit('link-closed', remoteId);
+            } else if (dialed && !authenticated) {
+                this.dialing.delete(remoteId);
+                this.emit('link-closed', remoteId);
+            }
+        });
+
+        ws.on('error', (error) => {
+            console.error(`與區域網路信令伺服器 ${remoteId} 的連線錯誤:`, error.message);
+        });
+    }
+
+    addLink(remoteId, ws) {
+        const existing = this.links.get(remoteId);
+        if (existing && existing.readyState !== WebSocket.CLOSED) {
+            ws.close();
+            return;
+        }
+        this.links.set(remoteId, ws);
+
+        console.log(`已與區域網路信令伺服器 ${remoteId} 互連`);
+        this.emit('link', remoteId);
+    }
+
+    // 以角色區分雙方的證明，收到的證明無法原封不動送回給對方使用
+    createProof(role, { dialerId, acceptorId, dialerNonce, acceptorNonce }) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(JSON.stringify([role, dialerId, acceptorId, dialerNonce, acceptorNonce]))
+            .digest('hex');
+    }
+
+    verifyProof(role, handshake, proof) {
+        const expected = Buffer.from(this.createProof(role, handshake), 'hex');
+        const received = Buffer.from(typeof proof === 'string' ? proof : '', 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    static createNonce() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    static isValidNonce(nonce) {
+        return typeof nonce === 'string' && /^[0-9a-f]{32}$/.test(nonce);
+    }
+}
+
+// bonjour 需提供 bonjour-service 的介面：publish()、find()、unpublishAll() 與 destroy()
+class LanDiscovery {
+    constructor({ bonjour, pubsub, serverId, port, reconnectDelay = 5000 }) {
+        this.bonjour = bonjour;
+        this.pubsub = pubsub;
+        this.serverId = serverId;
+        this.port = port;
+        this.reconnectDelay = reconnectDelay;
+        this.services = new Map(); // serverId -> 互連 URL
+        this.browser = null;
+        this.reconnectTimers = new Set();
+
+        this.pubsub.on('link-closed', (remoteId) => this.scheduleReconnect(remoteId));
+    }
+
+    start() {
+        this.bonjour.publish({
+            name: `p2pme-${this.serverId}`,
+            type: SERVICE_TYPE,
+            port: Number(this.port),
+            txt: { id: this.serverId }
+        });
+
+        this.browser = this.bonjour.find({ type: SERVICE_TYPE });
+        this.browser.on('up', (service) => this.handleServiceUp(service));
+        this.browser.on('down', (service) => {
+            if (service.txt && service.txt.id) {
+                this.services.delete(service.txt.id);
+            }
+        });
+
+        console.log(`已在區域網路宣告 _${SERVICE_TYPE}._tcp 服務`);
+    }
+
+    handleServiceUp(service) {
+        const remoteId = service.txt && service.txt.id;
+        if (!remoteId || remoteId === this.serverId) return;
+
+        // 優先使用 IPv4 位址
+        const addresses = service.addresses || [];
+        const address = addresses.find(item => !item.includes(':')) || service.host;
+        const url = `ws://${address}:${service.port}${LAN_PATH}`;
+        this.services.set(remoteId, url);
+        console.log(`發現區域網路信令伺服器 ${remoteId} (${address}:${service.port})`);
+
+        this.connect(remoteId);
+    }
+
+    // 由 ID 較小的一方主動連線，避免兩台伺服器同時互連
+    connect(remoteId) {
+        const url = this.services.get(remoteId);
+        if (!url || this.serverId > remoteId) return;
+        this.pubsub.connect(remoteId, url);
+    }
+
+    scheduleReconnect(remoteId) {
+        if (!this.services.has(remoteId)) return;
+
+        const timer = setTimeout(() => {
+            this.reconnectTimers.delete(timer);
+            this.connect(remoteId);
+        }, this.reconnectDelay);
+        this.reconnectTimers.add(timer);
+    }
+
+    async stop() {
+        for (const timer of this.reconnectTimers) {
+            clearTimeout(timer);
+        }
+        this.reconnectTimers.clear();
+        this.services.clear();
+
+        if (this.browser) {
+            this.browser.stop();
+            this.browser = null;
+        }
+
+        await new Promise(resolve => this.bonjour.unpublishAll(resolve));
+        this.bonjour.destroy();
+    }
+}
+
+module.exports = {
+    LAN_PATH,
+    LanPubSub,
+    LanDiscovery
+};
@@ -0,0 +1,92 @@
+// 離線信箱 - 暫存寄給離線節點的小型訊息，節點重新註冊時再投遞
+
+class Mailbox {
+    // ttl: 訊息最長保存時間（毫秒）
+    // maxPerRecipient: 每個收件節點最多暫存的訊息數
+    // maxMessageSize: 單則訊息 payload 序列化後的最大位元組數
+    // knownNodeRetention: 節點最後一次註冊後，仍接受寄給它的離線訊息的時間（毫秒）
+    constructor(options = {}) {
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+        this.maxPerRecipient = options.maxPerRecipient || 20;
+        this.maxMessageSize = options.maxMessageSize || 4 * 1024;
+        this.knownNodeRetention = options.knownNodeRetention || 7 * 24 * 60 * 60 * 1000;
+        this.knownNodes = new Map(); // key -> 最後註冊時間
+        this.messages = new Map(); // key -> [mail]
+    }
+
+    getKey(roomId, nodeId) {
+        return `${roomId}\n${nodeId}`;
+    }
+
+    // 記錄節點曾經註冊過，只有這些節點可以收離線訊息
+    markKnown(roomId, nodeId) {
+        this.knownNodes.set(this.getKey(roomId, nodeId), Date.now());
+    }
+
+    isKnown(roomId, nodeId) {
+        const registeredAt = this.knownNodes.get(this.getKey(roomId, nodeId));
+        return registeredAt !== undefined && Date.now() - registeredAt < this.knownNodeRetention;
+    }
+
+    isWithinSizeLimit(payload) {
+        return Buffer.byteLength(JSON.stringify(payload)) <= this.maxMessageSize;
+    }
+
+    // 暫存訊息，收件匣已滿時回傳 false；requestedTtl 不可超過 this.ttl
+    store(roomId, nodeId, mail, requestedTtl) {
+        const key = this.getKey(roomId, nodeId);
+        const queue = (this.messages.get(key) || []).filter(item => item.expiresAt > Date.now());
+
+        if (queue.length >= this.maxPerRecipient) {
+            this.messages.set(key, queue);
+            return false;
+        }
+
+        const ttl = requestedTtl ? Math.min(requestedTtl, this.ttl) : this.ttl;
+        queue.push({ mail, expiresAt: Date.now() + ttl });
+        this.messages.set(key, queue);
+        return true;
+    }
+
+    // 取出並移除節點所有未過期的訊息
+    take(roomId, nodeId) {
+        const key = this.getKey(roomId, nodeId);
+        const queue = this.messages.get(key);
+        if (!queue) return [];
+
+        this.messages.delete(key);
+        const now = Date.now();
+        return queue.filter(item => item.expiresAt > now).map(item => item.mail);
+    }
+
+    // 清除過期的訊息與太久沒有註冊的節點
+    purgeExpired() {
+        const now = Date.now();
+
+        for (const [key, queue] of this.messages) {
+            const remaining = queue.filter(item => item.expiresAt > now);
+            if (remaining.length === 0) {
+                this.messages.delete(key);
+            } else {
+                this.messages.set(key, remaining);
+            }
+        }
+
+        for (const [key, registeredAt] of this.knownNodes) {
+            if (now - registeredAt >= this.knownNodeRetention) {
+                this.knownNodes.delete(key);
+            }
+        }
+    }
+
+    // 目前暫存的訊息總數
+    size() {
+        let count = 0;
+        for (const queue of this.messages.values()) {
+            count += queue.length;
+        }
+        return count;
+    }
+}
+
+module.exports = Mailbox;
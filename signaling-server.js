@@ -3,15 +3,63 @@ const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { MemoryBackend, PubSubBackend } = require('./signaling-backend');
+const { ERROR_CODES, validateMessage, TokenBucket } = require('./signaling-validation');
+const Mailbox = require('./signaling-mailbox');
+const { LAN_PATH, LanPubSub, LanDiscovery } = require('./signaling-lan');
+
+// 未指定房間時使用的預設房間
+const DEFAULT_ROOM = 'default';
+
+// 同一個節點 ID 從其他連線註冊時，以此代碼關閉舊連線；客戶端收到後不再自動重連，
+// 否則同一個瀏覽器的兩個分頁會不斷互相取代
+const CLOSE_REPLACED = 4000;
 
 class SignalingServer {
-    constructor(port = 8081) {
+    // options.roomAuth: { [roomId]: { password?, tokenSecret? } }，未列出的房間不需驗證
+    // options.turn: { urls, secret, ttl? }，註冊時以 coturn REST API 規則發放限時憑證
+    // options.backend: 在線狀態與轉發後端，見 signaling-backend.js，預設為單機記憶體後端
+    // options.maxMessageSize: 單一 WebSocket 訊息的最大位元組數，超過時直接斷線
+    // options.rateLimit: { capacity, refillPerSecond }，每個連線的訊息速率限制
+    // options.maxViolations: 無效訊息與超速次數達到上限時斷開連線
+    // options.adminToken: 存取 /status 所需的 Bearer 令牌，未設定時停用 /status
+    // options.heartbeatInterval / heartbeatTimeout: WebSocket ping 間隔與無回應斷線時間（毫秒）
+    // options.mailbox: 啟用離線信箱，{ ttl?, maxPerRecipient?, maxMessageSize? }，見 signaling-mailbox.js
+    // options.resumeGracePeriod: 連線中斷後保留節點位置的時間（毫秒），期間內以恢復令牌重新註冊不會通知其他節點，0 表示停用
+    // options.lan: LanPubSub，接受區域網路上其他信令伺服器連到 LAN_PATH 的互連，見 signaling-lan.js
+    constructor(port = 8081, options = {}) {
         this.port = port;
-        this.clients = new Map(); // nodeId -> WebSocket
+        this.lan = options.lan || null;
+        this.resumeGracePeriod = options.resumeGracePeriod !== undefined ? options.resumeGracePeriod : 15000;
+        this.suspended = new Map(); // `${roomId}\n${nodeId}` -> { resumeToken, timer }
+        this.mailbox = options.mailbox ? new Mailbox(options.mailbox) : null;
+        this.heartbeatInterval = options.heartbeatInterval || 10000;
+        this.heartbeatTimeout = options.heartbeatTimeout || 30000;
+        this.heartbeatTimer = null;
+        this.cleanupTimer = null;
+        this.adminToken = options.adminToken || null;
+        this.maxMessageSize = options.maxMessageSize || 64 * 1024;
+        this.rateLimit = options.rateLimit || { capacity: 100, refillPerSecond: 20 };
+        this.maxViolations = options.maxViolations || 20;
+        this.roomAuth = options.roomAuth || {};
+        this.turn = options.turn || null;
+        this.backend = options.backend || new MemoryBackend();
+        this.rooms = new Map(); // 本機連線 roomId -> Map(nodeId -> WebSocket)
+        this.sessions = new Map(); // WebSocket -> session
+        this.metrics = {
+            connectionsTotal: 0,
+            registrationsTotal: 0,
+            sessionsResumed: 0,
+            messagesRelayed: new Map(), // type -> count
+            relayFailures: new Map(), // type -> count
+            errors: new Map() // code -> count
+        };
         this.server = null;
         this.wss = null;
         
         this.setupServer();
+        this.setupBackend();
     }
 
     setupServer() {
@@ -21,9 +69,21 @@ class SignalingServer {
         });
 
         // 創建 WebSocket 伺服器
-        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss = new WebSocket.Server({
+            server: this.server,
+            maxPayload: this.maxMessageSize
+        });
         
         this.wss.on('connection', (ws, req) => {
+            if (req.url === LAN_PATH) {
+                if (this.lan) {
+                    this.lan.acceptLink(ws, req);
+                } else {
+                    ws.close(1008, 'LAN peering is disabled');
+                }
+                return;
+            }
+
             console.log('新的 WebSocket 連線');
             this.handleConnection(ws, req);
         });
@@ -33,6 +93,54 @@ class SignalingServer {
         });
     }
 
+    // 處理來自其他伺服器實例的在線狀態與轉發訊息
+    setupBackend() {
+        // 其他伺服器宣告的節點必須附上該節點對註冊挑戰的簽名
+        this.backend.verifyPresence = SignalingServer.verifyPresence;
+
+        this.backend.on('peer-joined', ({ roomId, nodeId, resumed }) => {
+            // 節點在保留期間內改連到其他伺服器，由該伺服器接手
+            this.releaseSuspended(roomId, nodeId);
+
+            // 投遞本機暫存給該節點的離線訊息
+            if (this.mailbox) {
+                this.mailbox.markKnown(roomId, nodeId);
+                for (const mail of this.mailbox.take(roomId, nodeId)) {
+                    this.backend.relay(roomId, nodeId, mail);
+                }
+            }
+
+            // 節點已改連到其他伺服器，關閉本機的舊連線（不廣播離開）
+            const room = this.rooms.get(roomId);
+            const oldWs = room && room.get(nodeId);
+            if (oldWs) {
+                console.log(`節點 ${nodeId} 已在其他伺服器註冊，關閉舊連線`);
+                room.delete(nodeId);
+                if (room.size === 0) {
+                    this.rooms.delete(roomId);
+                }
+                oldWs.close(CLOSE_REPLACED, 'Replaced');
+            }
+
+            // 節點以恢復令牌在其他伺服器恢復工作階段時，其他節點不需要重新連線
+            if (!resumed) {
+                this.broadcastPeerJoined(roomId, nodeId);
+            }
+        });
+
+        this.backend.on('peer-left', ({ roomId, nodeId }) => {
+            this.broadcastPeerLeft(roomId, nodeId);
+        });
+
+        this.backend.on('deliver', ({ roomId, nodeId, message }) => {
+            const room = this.rooms.get(roomId);
+            const ws = room && room.get(nodeId);
+            if (ws) {
+                this.send(ws, message);
+            }
+        });
+    }
+
     handleHttpRequest(req, res) {
         // 設置 CORS 標頭
         res.setHeader('Access-Control-Allow-Origin', '*');
@@ -46,17 +154,30 @@ class SignalingServer {
         }
 
         if (req.url === '/status') {
+            if (!this.isAdminRequest(req)) {
+                res.writeHead(401, { 'Content-Type': 'text/plain' });
+                res.end('Unauthorized');
+                return;
+            }
+
             // 提供伺服器狀態
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
                 status: 'running',
-                connectedClients: this.clients.size,
-                clients: Array.from(this.clients.keys()),
+                connectedClients: this.getClientCount(),
+                rooms: this.getRoomMembership(),
+                nodes: this.getNodeDetails(),
                 timestamp: new Date().toISOString()
             }));
             return;
         }
 
+        if (req.url === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(this.renderMetrics());
+            return;
+        }
+
         if (req.url === '/health') {
             res.writeHead(200, { 'Content-Type': 'text/plain' });
             res.end('OK');
@@ -68,125 +189,438 @@ class SignalingServer {
         res.end('Not Found');
     }
 
+    // 檢查 Authorization: Bearer <adminToken>
+    isAdminRequest(req) {
+        if (!this.adminToken) return false;
+
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer (.+)$/);
+        return !!match && SignalingServer.safeEqual(match[1], this.adminToken);
+    }
+
+    // 本機節點的連線時間與最後活動時間
+    getNodeDetails() {
+        const nodes = [];
+        for (const [roomId, room] of this.rooms) {
+            for (const [nodeId, ws] of room) {
+                const session = this.sessions.get(ws);
+                if (!session) continue;
+
+                nodes.push({
+                    nodeId,
+                    room: roomId,
+                    connectedAt: new Date(session.connectedAt).toISOString(),
+                    lastSeen: new Date(session.lastSeen).toISOString()
+                });
+            }
+        }
+        return nodes;
+    }
+
+    // 以 Prometheus 文字格式輸出指標
+    renderMetrics() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) {
+                lines.push(`${name}${labels} ${value}`);
+            }
+        };
+        const labelled = (label, counts) => Array.from(counts, ([key, value]) => [`{${label}="${key}"}`, value]);
+
+        metric('p2pme_connections', 'gauge', 'Open WebSocket connections.',
+            [['', this.wss.clients.size]]);
+        metric('p2pme_connections_total', 'counter', 'WebSocket connections accepted.',
+            [['', this.metrics.connectionsTotal]]);
+        metric('p2pme_registered_nodes', 'gauge', 'Nodes registered on this server.',
+            [['', this.getClientCount()]]);
+        metric('p2pme_registrations_total', 'counter', 'Successful node registrations.',
+            [['', this.metrics.registrationsTotal]]);
+        metric('p2pme_suspended_nodes', 'gauge', 'Disconnected nodes whose slot is held for resumption.',
+            [['', this.suspended.size]]);
+        metric('p2pme_sessions_resumed_total', 'counter', 'Registrations that resumed a held slot.',
+            [['', this.metrics.sessionsResumed]]);
+        metric('p2pme_messages_relayed_total', 'counter', 'Signaling messages relayed, by type.',
+            labelled('type', this.metrics.messagesRelayed));
+        metric('p2pme_relay_failures_total', 'counter', 'Signaling messages that could not be relayed, by type.',
+            labelled('type', this.metrics.relayFailures));
+        metric('p2pme_errors_total', 'counter', 'Error replies sent to clients, by code.',
+            labelled('code', this.metrics.errors));
+        if (this.mailbox) {
+            metric('p2pme_mailbox_messages', 'gauge', 'Messages held in the offline mailbox.',
+                [['', this.mailbox.size()]]);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    incrementMetric(counts, key) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
     handleConnection(ws, req) {
-        let nodeId = null;
+        // 連線狀態，註冊成功後才會填入 nodeId 與 roomId
+        const session = {
+            nodeId: null,
+            roomId: null,
+            publicKey: null,
+            pendingRegistration: null,
+            resumeToken: null,
+            rateLimiter: new TokenBucket(this.rateLimit.capacity, this.rateLimit.refillPerSecond),
+            violations: 0,
+            connectedAt: Date.now(),
+            lastSeen: Date.now()
+        };
+        this.sessions.set(ws, session);
+        this.metrics.connectionsTotal++;
         
+        // 瀏覽器會自動回應 ping，收到 pong 即表示連線仍存活
+        ws.on('pong', () => {
+            session.lastSeen = Date.now();
+        });
+
         ws.on('message', (data) => {
+            session.lastSeen = Date.now();
+
+            if (!session.rateLimiter.take()) {
+                this.reportViolation(ws, session, ERROR_CODES.RATE_LIMITED, 'Rate limit exceeded');
+                return;
+            }
+
+            let message;
             try {
-                const message = JSON.parse(data.toString());
-                this.handleMessage(ws, message, nodeId);
-                
-                // 更新 nodeId 如果是註冊訊息
-                if (message.type === 'register') {
-                    nodeId = message.nodeId;
-                }
+                message = JSON.parse(data.toString());
             } catch (error) {
-                console.error('解析訊息失敗:', error);
-                this.sendError(ws, 'Invalid message format');
+                this.reportViolation(ws, session, ERROR_CODES.INVALID_JSON, 'Invalid message format');
+                return;
+            }
+
+            const validationError = validateMessage(message);
+            if (validationError) {
+                this.reportViolation(ws, session, validationError.code, validationError.message);
+                return;
+            }
+
+            try {
+                this.handleMessage(ws, message, session);
+            } catch (error) {
+                console.error('處理訊息失敗:', error);
             }
         });
 
-        ws.on('close', () => {
-            if (nodeId) {
-                console.log(`節點 ${nodeId} 斷開連線`);
-                this.clients.delete(nodeId);
-                this.broadcastPeerLeft(nodeId);
+        ws.on('close', (code) => {
+            this.sessions.delete(ws);
+            const { nodeId, roomId } = session;
+            if (!nodeId || !this.detachClient(roomId, nodeId, ws)) return;
+
+            // 正常關閉 (1000) 與違規斷線 (1008) 立即離開，其他中斷保留位置等待節點恢復
+            if (this.resumeGracePeriod > 0 && code !== 1000 && code !== 1008) {
+                this.suspendClient(roomId, nodeId, session.resumeToken);
+                return;
             }
+
+            this.backend.removeMember(roomId, nodeId);
+            console.log(`節點 ${nodeId} 斷開連線 (房間 ${roomId})`);
+            this.broadcastPeerLeft(roomId, nodeId);
         });
 
+        // 之後的 close 事件會處理節點離開或保留位置
         ws.on('error', (error) => {
             console.error('WebSocket 連線錯誤:', error);
-            if (nodeId) {
-                this.clients.delete(nodeId);
-            }
         });
     }
 
-    handleMessage(ws, message, currentNodeId) {
+    // 回覆錯誤並累計違規次數，超過上限時以 1008 (policy violation) 斷線
+    reportViolation(ws, session, code, errorMessage) {
+        session.violations++;
+        this.sendError(ws, errorMessage, code);
+
+        if (session.violations === this.maxViolations) {
+            console.log(`連線違規次數過多，斷開連線${session.nodeId ? `: ${session.nodeId}` : ''}`);
+            ws.close(1008, 'Too many invalid messages');
+        }
+    }
+
+    // 訊息已通過 validateMessage 的格式檢查
+    handleMessage(ws, message, session) {
         switch (message.type) {
             case 'register':
-                this.handleRegister(ws, message);
+                this.handleRegister(ws, message, session);
+                break;
+            case 'challenge-response':
+                this.handleChallengeResponse(ws, message, session);
                 break;
             case 'offer':
             case 'answer':
             case 'ice-candidate':
-                this.handleSignaling(message);
+                this.handleSignaling(ws, message, session);
+                break;
+            case 'mail':
+                this.handleMail(ws, message, session);
                 break;
             case 'get-peers':
-                this.handleGetPeers(ws, message.nodeId);
+                this.handleGetPeers(ws, session);
                 break;
             case 'ping':
                 this.handlePing(ws);
                 break;
-            default:
-                console.log('未知的訊息類型:', message.type);
-                this.sendError(ws, 'Unknown message type');
         }
     }
 
-    handleRegister(ws, message) {
+    handleRegister(ws, message, session) {
         const { nodeId } = message;
-        
-        if (!nodeId) {
-            this.sendError(ws, 'Node ID is required');
+        const roomId = message.room || DEFAULT_ROOM;
+
+        if (!this.verifyRoomAccess(roomId, nodeId, message)) {
+            console.log(`節點 ${nodeId} 加入房間 ${roomId} 驗證失敗`);
+            this.sendError(ws, 'Room authentication failed', ERROR_CODES.ROOM_AUTH_FAILED);
+            return;
+        }
+
+        // 節點 ID 必須由公鑰推導而來
+        if (SignalingServer.addressFromPublicKey(message.publicKey) !== nodeId) {
+            this.sendError(ws, 'Node ID does not match public key', ERROR_CODES.ID_KEY_MISMATCH);
+            return;
+        }
+
+        // 發送挑戰，待節點以私鑰簽名後才完成註冊
+        const nonce = crypto.randomBytes(32).toString('hex');
+        session.pendingRegistration = {
+            nodeId,
+            roomId,
+            publicKey: message.publicKey,
+            resumeToken: message.resumeToken,
+            nonce
+        };
+        this.send(ws, {
+            type: 'challenge',
+            nonce: nonce
+        });
+    }
+
+    handleChallengeResponse(ws, message, session) {
+        const pending = session.pendingRegistration;
+        if (!pending) {
+            this.sendError(ws, 'No pending registration', ERROR_CODES.NO_PENDING_REGISTRATION);
+            return;
+        }
+
+        session.pendingRegistration = null;
+        const { nodeId, roomId, publicKey, resumeToken, nonce } = pending;
+
+        // 簽名內容與客戶端 CryptoUtils.signData 的 JSON 序列化一致
+        const challengeData = { nonce, nodeId, room: roomId };
+        if (!SignalingServer.verifyIdentitySignature(publicKey, challengeData, message.signature)) {
+            console.log(`節點 ${nodeId} 身分驗證失敗`);
+            this.sendError(ws, 'Identity verification failed', ERROR_CODES.IDENTITY_VERIFICATION_FAILED);
             return;
         }
 
+        const presence = { publicKey, nonce, signature: message.signature };
+        this.completeRegistration(ws, session, nodeId, roomId, presence, resumeToken);
+    }
+
+    // presence 為已驗證的註冊證明，交給後端讓其他伺服器也能驗證
+    completeRegistration(ws, session, nodeId, roomId, presence, resumeToken) {
+        // 同一連線改用其他身分或房間註冊時，先離開原本的房間
+        if (session.nodeId && (session.nodeId !== nodeId || session.roomId !== roomId)) {
+            if (this.removeClient(session.roomId, session.nodeId, ws)) {
+                this.broadcastPeerLeft(session.roomId, session.nodeId);
+            }
+        }
+
+        const room = this.getRoom(roomId);
+
+        // 帶著上一個工作階段的恢復令牌重新註冊時，沿用原本的位置，其他節點不需要重新連線；
+        // 上一個工作階段可能在本機（保留中或仍連線），也可能在其他伺服器上
+        const suspended = this.releaseSuspended(roomId, nodeId);
+        const previousSession = room.has(nodeId) ? this.sessions.get(room.get(nodeId)) : null;
+        const remotePresence = this.backend.getRemotePresence(roomId, nodeId);
+        const previousToken = suspended ? suspended.resumeToken
+            : previousSession ? previousSession.resumeToken
+                : remotePresence && remotePresence.resumeToken;
+        const resumed = !!previousToken && typeof resumeToken === 'string' &&
+            SignalingServer.safeEqual(resumeToken, previousToken);
+
+        if (suspended && !resumed) {
+            // 無法恢復的舊工作階段視為已離開，讓其他節點丟棄舊的 WebRTC 連線
+            this.broadcastPeerLeft(roomId, nodeId);
+        }
+
         // 檢查是否已經註冊
-        if (this.clients.has(nodeId)) {
+        if (room.has(nodeId)) {
             console.log(`節點 ${nodeId} 重複註冊，關閉舊連線`);
-            const oldWs = this.clients.get(nodeId);
+            const oldWs = room.get(nodeId);
             if (oldWs !== ws && oldWs.readyState === WebSocket.OPEN) {
-                oldWs.close();
+                oldWs.close(CLOSE_REPLACED, 'Replaced');
             }
         }
 
-        // 註冊新節點
-        this.clients.set(nodeId, ws);
-        console.log(`節點 ${nodeId} 已註冊，目前共有 ${this.clients.size} 個節點`);
+        // 註冊新節點，新的恢復令牌也交給後端，讓節點之後改連到其他伺服器時也能恢復
+        room.set(nodeId, ws);
+        session.nodeId = nodeId;
+        session.roomId = roomId;
+        session.publicKey = presence.publicKey;
+        session.resumeToken = crypto.randomBytes(32).toString('hex');
+        this.backend.addMember(roomId, nodeId, { ...presence, resumeToken: session.resumeToken, resumed });
+        this.metrics.registrationsTotal++;
+
+        if (resumed) {
+            this.metrics.sessionsResumed++;
+            console.log(`節點 ${nodeId} 已恢復房間 ${roomId} 的工作階段`);
+        } else {
+            console.log(`節點 ${nodeId} 已註冊到房間 ${roomId}，房間內共有 ${room.size} 個節點`);
+        }
 
-        // 發送當前節點列表給新節點
-        const peerList = Array.from(this.clients.keys()).filter(id => id !== nodeId);
+        // 發送同房間的節點列表給新節點，附上 TURN 憑證與下次重連用的恢復令牌
         this.send(ws, {
             type: 'peer-list',
-            peers: peerList
+            room: roomId,
+            peers: this.getPeerList(roomId, nodeId),
+            iceServers: this.createTurnCredentials(nodeId),
+            resumeToken: session.resumeToken,
+            resumed: resumed
         });
 
-        // 通知其他節點有新節點加入
-        this.broadcastPeerJoined(nodeId);
+        // 通知同房間的其他節點有新節點加入
+        if (!resumed) {
+            this.broadcastPeerJoined(roomId, nodeId);
+        }
+
+        // 投遞節點離線期間收到的訊息
+        if (this.mailbox) {
+            this.mailbox.markKnown(roomId, nodeId);
+            for (const mail of this.mailbox.take(roomId, nodeId)) {
+                this.send(ws, mail);
+            }
+        }
+    }
+
+    // 檢查節點是否有權加入房間：符合共用密碼或有效的加入令牌其中之一即可
+    verifyRoomAccess(roomId, nodeId, message) {
+        const auth = this.roomAuth[roomId];
+        if (!auth) return true;
+
+        if (auth.password && typeof message.password === 'string' &&
+            SignalingServer.safeEqual(message.password, auth.password)) {
+            return true;
+        }
+
+        if (auth.tokenSecret && typeof message.token === 'string') {
+            return SignalingServer.verifyJoinToken(auth.tokenSecret, roomId, nodeId, message.token);
+        }
+
+        return false;
     }
 
-    handleSignaling(message) {
-        const { to, from } = message;
-        
-        if (!to || !from) {
-            console.error('信令訊息缺少 to 或 from 欄位');
+    handleSignaling(ws, message, session) {
+        const { type, to, from, signal } = message;
+
+        if (!session.nodeId) {
+            this.sendError(ws, 'Not registered', ERROR_CODES.NOT_REGISTERED);
+            return;
+        }
+
+        if (from !== session.nodeId) {
+            this.sendError(ws, 'Sender does not match registered node', ERROR_CODES.SENDER_MISMATCH);
             return;
         }
 
-        const targetWs = this.clients.get(to);
+        // 只轉發已知欄位，不原樣轉送客戶端的訊息
+        const relayedMessage = { type, from, to, signal };
+
+        // 只在發送者所在的房間內轉發，目標不在本機時交給後端轉發到其他伺服器
+        const room = this.rooms.get(session.roomId);
+        const targetWs = room && room.get(to);
         if (targetWs && targetWs.readyState === WebSocket.OPEN) {
-            this.send(targetWs, message);
+            this.send(targetWs, relayedMessage);
+            this.incrementMetric(this.metrics.messagesRelayed, type);
+        } else if (!targetWs && this.backend.relay(session.roomId, to, relayedMessage)) {
+            this.incrementMetric(this.metrics.messagesRelayed, type);
         } else {
-            console.log(`目標節點 ${to} 不在線或連線已關閉`);
+            console.log(`目標節點 ${to} 不在房間 ${session.roomId} 內或連線已關閉`);
+            this.incrementMetric(this.metrics.relayFailures, type);
+            this.incrementMetric(this.metrics.errors, ERROR_CODES.PEER_UNAVAILABLE);
             
             // 通知發送者目標節點不可用
-            const senderWs = this.clients.get(from);
-            if (senderWs && senderWs.readyState === WebSocket.OPEN) {
-                this.send(senderWs, {
-                    type: 'error',
-                    message: `Target peer ${to} is not available`,
-                    originalMessage: message
-                });
-            }
+            this.send(ws, {
+                type: 'error',
+                code: ERROR_CODES.PEER_UNAVAILABLE,
+                message: `Target peer ${to} is not available`,
+                originalMessage: relayedMessage,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    // 傳送小型訊息給同房間的節點；目標離線但曾經註冊過時暫存到離線信箱
+    handleMail(ws, message, session) {
+        const { from, to, payload, ttl } = message;
+
+        if (!this.mailbox) {
+            this.sendError(ws, 'Mailbox is disabled', ERROR_CODES.MAILBOX_DISABLED);
+            return;
+        }
+
+        if (!session.nodeId) {
+            this.sendError(ws, 'Not registered', ERROR_CODES.NOT_REGISTERED);
+            return;
+        }
+
+        if (from !== session.nodeId) {
+            this.sendError(ws, 'Sender does not match registered node', ERROR_CODES.SENDER_MISMATCH);
+            return;
+        }
+
+        if (!this.mailbox.isWithinSizeLimit(payload)) {
+            this.sendError(ws, 'Mail payload is too large', ERROR_CODES.MESSAGE_TOO_LARGE);
+            return;
+        }
+
+        const mail = { type: 'mail', from, to, payload, sentAt: Date.now() };
+        const room = this.rooms.get(session.roomId);
+        const targetWs = room && room.get(to);
+
+        if (targetWs && targetWs.readyState === WebSocket.OPEN) {
+            this.send(targetWs, mail);
+            this.incrementMetric(this.metrics.messagesRelayed, 'mail');
+            return;
+        }
+
+        if (!targetWs && this.backend.relay(session.roomId, to, mail)) {
+            this.incrementMetric(this.metrics.messagesRelayed, 'mail');
+            return;
+        }
+
+        if (!this.mailbox.isKnown(session.roomId, to)) {
+            this.incrementMetric(this.metrics.relayFailures, 'mail');
+            this.sendError(ws, `Target peer ${to} is not available`, ERROR_CODES.PEER_UNAVAILABLE);
+            return;
+        }
+
+        if (!this.mailbox.store(session.roomId, to, mail, ttl)) {
+            this.sendError(ws, `Mailbox for ${to} is full`, ERROR_CODES.MAILBOX_FULL);
+            return;
         }
+
+        this.send(ws, {
+            type: 'mail-queued',
+            to: to,
+            timestamp: Date.now()
+        });
     }
 
-    handleGetPeers(ws, nodeId) {
-        const peerList = Array.from(this.clients.keys()).filter(id => id !== nodeId);
+    handleGetPeers(ws, session) {
+        if (!session.nodeId) {
+            this.sendError(ws, 'Not registered', ERROR_CODES.NOT_REGISTERED);
+            return;
+        }
+
         this.send(ws, {
             type: 'peer-list',
-            peers: peerList
+            room: session.roomId,
+            peers: this.getPeerList(session.roomId, session.nodeId)
         });
     }
 
@@ -197,37 +631,43 @@ class SignalingServer {
         });
     }
 
-    broadcastPeerJoined(nodeId) {
+    broadcastPeerJoined(roomId, nodeId) {
         const message = {
             type: 'peer-joined',
             nodeId: nodeId,
+            room: roomId,
             timestamp: Date.now()
         };
 
-        this.broadcast(message, nodeId);
+        this.broadcast(roomId, message, nodeId);
     }
 
-    broadcastPeerLeft(nodeId) {
+    broadcastPeerLeft(roomId, nodeId) {
         const message = {
             type: 'peer-left',
             nodeId: nodeId,
+            room: roomId,
             timestamp: Date.now()
         };
 
-        this.broadcast(message, nodeId);
+        this.broadcast(roomId, message, nodeId);
     }
 
-    broadcast(message, excludeNodeId = null) {
+    // 廣播訊息給指定房間內的節點
+    broadcast(roomId, message, excludeNodeId = null) {
+        const room = this.rooms.get(roomId);
+        if (!room) return 0;
+
         let sentCount = 0;
         
-        for (const [nodeId, ws] of this.clients) {
+        for (const [nodeId, ws] of room) {
             if (nodeId !== excludeNodeId && ws.readyState === WebSocket.OPEN) {
                 try {
                     this.send(ws, message);
                     sentCount++;
                 } catch (error) {
                     console.error(`廣播給節點 ${nodeId} 失敗:`, error);
-                    this.clients.delete(nodeId);
+                    this.removeClient(roomId, nodeId, ws);
                 }
             }
         }
@@ -235,21 +675,129 @@ class SignalingServer {
         return sentCount;
     }
 
+    // 取得房間，不存在時建立
+    getRoom(roomId) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, new Map());
+        }
+        return this.rooms.get(roomId);
+    }
+
+    // 從房間移除節點，只有當登記的連線仍是 ws 時才移除
+    removeClient(roomId, nodeId, ws) {
+        if (!this.detachClient(roomId, nodeId, ws)) {
+            return false;
+        }
+
+        this.backend.removeMember(roomId, nodeId);
+        return true;
+    }
+
+    // 只移除本機連線，節點仍保留在後端的成員列表中
+    detachClient(roomId, nodeId, ws) {
+        const room = this.rooms.get(roomId);
+        if (!room || room.get(nodeId) !== ws) {
+            return false;
+        }
+
+        room.delete(nodeId);
+        if (room.size === 0) {
+            this.rooms.delete(roomId);
+        }
+        return true;
+    }
+
+    // 保留斷線節點的位置，保留期間結束仍未恢復才通知其他節點離開
+    suspendClient(roomId, nodeId, resumeToken) {
+        console.log(`節點 ${nodeId} 連線中斷，保留位置 ${this.resumeGracePeriod} 毫秒 (房間 ${roomId})`);
+
+        const timer = setTimeout(() => {
+            if (!this.releaseSuspended(roomId, nodeId)) return;
+
+            this.backend.removeMember(roomId, nodeId);
+            console.log(`節點 ${nodeId} 未在保留期間內恢復，視為離開 (房間 ${roomId})`);
+            this.broadcastPeerLeft(roomId, nodeId);
+        }, this.resumeGracePeriod);
+
+        this.suspended.set(`${roomId}\n${nodeId}`, { resumeToken, timer });
+    }
+
+    // 取消保留並回傳保留資訊，沒有保留時回傳 null
+    releaseSuspended(roomId, nodeId) {
+        const key = `${roomId}\n${nodeId}`;
+        const suspended = this.suspended.get(key);
+        if (!suspended) return null;
+
+        clearTimeout(suspended.timer);
+        this.suspended.delete(key);
+        return suspended;
+    }
+
+    // 取得房間內除了自己以外的節點列表（包含其他伺服器上的節點）
+    getPeerList(roomId, nodeId) {
+        return this.backend.getMembers(roomId).filter(id => id !== nodeId);
+    }
+
+    getClientCount() {
+        let count = 0;
+        for (const room of this.rooms.values()) {
+            count += room.size;
+        }
+        return count;
+    }
+
+    // 各房間的成員列表
+    getRoomMembership() {
+        return this.backend.getMembership();
+    }
+
     send(ws, message) {
         if (ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify(message));
         }
     }
 
-    sendError(ws, errorMessage) {
+    sendError(ws, errorMessage, code = ERROR_CODES.INVALID_MESSAGE) {
+        this.incrementMetric(this.metrics.errors, code);
         this.send(ws, {
             type: 'error',
+            code: code,
             message: errorMessage,
             timestamp: Date.now()
         });
     }
 
-    start() {
+    // 對每個連線發送 ping，超過 heartbeatTimeout 沒有回應的連線直接終止，
+    // 終止後的節點進入恢復保留期間，保留期間結束才廣播 peer-left
+    checkHeartbeats() {
+        const now = Date.now();
+
+        for (const [ws, session] of this.sessions) {
+            if (now - session.lastSeen > this.heartbeatTimeout) {
+                console.log(`連線無回應，終止連線${session.nodeId ? `: ${session.nodeId}` : ''}`);
+                ws.terminate();
+                continue;
+            }
+
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.ping();
+            }
+        }
+    }
+
+    async start() {
+        await this.backend.start();
+
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), this.heartbeatInterval);
+
+        // 定期清理無效連線
+        this.cleanupTimer = setInterval(() => {
+            const cleaned = this.cleanup();
+            if (cleaned > 0) {
+                console.log(`清理了 ${cleaned} 個無效連線`);
+            }
+        }, 60000); // 每分鐘清理一次
+
         return new Promise((resolve, reject) => {
             this.server.listen(this.port, (error) => {
                 if (error) {
@@ -259,20 +807,35 @@ class SignalingServer {
                     console.log(`信令伺服器已啟動在端口 ${this.port}`);
                     console.log(`WebSocket 端點: ws://localhost:${this.port}`);
                     console.log(`狀態端點: http://localhost:${this.port}/status`);
+                    console.log(`指標端點: http://localhost:${this.port}/metrics`);
                     resolve();
                 }
             });
         });
     }
 
-    stop() {
-        return new Promise((resolve) => {
-            // 關閉所有 WebSocket 連線
-            for (const [nodeId, ws] of this.clients) {
-                ws.close();
-            }
-            this.clients.clear();
+    async stop() {
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.cleanupTimer);
+        this.heartbeatTimer = null;
+        this.cleanupTimer = null;
+
+        for (const { timer } of this.suspended.values()) {
+            clearTimeout(timer);
+        }
+        this.suspended.clear();
 
+        // 終止所有 WebSocket 連線，包含尚未完成註冊的連線，否則 server.close() 會一直等待；
+        // 先清空房間，之後的 close 事件不會再保留節點位置或廣播離開
+        for (const ws of this.sessions.keys()) {
+            ws.terminate();
+        }
+        this.sessions.clear();
+        this.rooms.clear();
+
+        await this.backend.stop();
+
+        return new Promise((resolve) => {
             // 關閉 WebSocket 伺服器
             this.wss.close(() => {
                 // 關閉 HTTP 伺服器
@@ -286,27 +849,123 @@ class SignalingServer {
 
     getStats() {
         return {
-            connectedClients: this.clients.size,
-            clients: Array.from(this.clients.keys()),
+            connectedClients: this.getClientCount(),
+            rooms: this.getRoomMembership(),
             uptime: process.uptime(),
             memory: process.memoryUsage(),
             timestamp: new Date().toISOString()
         };
     }
 
+    // 產生限時 TURN 憑證（coturn use-auth-secret）：
+    // username = `<到期秒數>:<nodeId>`，credential = base64(HMAC-SHA1(secret, username))
+    createTurnCredentials(nodeId) {
+        if (!this.turn || !this.turn.secret || !this.turn.urls) {
+            return [];
+        }
+
+        const ttl = this.turn.ttl || 86400;
+        const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+        const username = `${expiresAt}:${nodeId}`;
+        const credential = crypto.createHmac('sha1', this.turn.secret)
+            .update(username)
+            .digest('base64');
+
+        return [{
+            urls: this.turn.urls,
+            username: username,
+            credential: credential
+        }];
+    }
+
+    // 產生加入令牌，格式為 `<expiresAt>.<HMAC-SHA256(room:nodeId:expiresAt)>`；
+    // expiresAt 為 Unix 時間（秒），與 TURN 憑證相同
+    static createJoinToken(secret, roomId, nodeId, expiresAt) {
+        const hmac = crypto.createHmac('sha256', secret)
+            .update(`${roomId}:${nodeId}:${expiresAt}`)
+            .digest('hex');
+        return `${expiresAt}.${hmac}`;
+    }
+
+    // 驗證加入令牌的簽名與有效期限
+    static verifyJoinToken(secret, roomId, nodeId, token) {
+        const [expiresAtString, hmac] = token.split('.');
+        const expiresAt = Number(expiresAtString);
+
+        if (!hmac || !Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+            return false;
+        }
+
+        const expected = SignalingServer.createJoinToken(secret, roomId, nodeId, expiresAt);
+        return SignalingServer.safeEqual(token, expected);
+    }
+
+    // 由 base64 SPKI 公鑰推導節點 ID，與客戶端 CryptoUtils.generateAddress 相同
+    static addressFromPublicKey(publicKey) {
+        return crypto.createHash('sha256').update(publicKey).digest('hex').substring(0, 40);
+    }
+
+    // 驗證 WebCrypto 產生的 ECDSA P-256 簽名（r||s 格式）
+    static verifyIdentitySignature(publicKey, data, signature) {
+        if (typeof signature !== 'string') return false;
+
+        try {
+            const key = crypto.createPublicKey({
+                key: Buffer.from(publicKey, 'base64'),
+                format: 'der',
+                type: 'spki'
+            });
+
+            return crypto.verify(
+                'sha256',
+                Buffer.from(JSON.stringify(data)),
+                { key, dsaEncoding: 'ieee-p1363' },
+                Buffer.from(signature, 'base64')
+            );
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // 驗證其他伺服器轉來的註冊證明：公鑰推導出節點 ID，且簽名與 handleChallengeResponse 驗證的內容相同
+    static verifyPresence(roomId, nodeId, presence) {
+        if (!presence || typeof presence.publicKey !== 'string' || typeof presence.nonce !== 'string') {
+            return false;
+        }
+        if (SignalingServer.addressFromPublicKey(presence.publicKey) !== nodeId) {
+            return false;
+        }
+
+        const challengeData = { nonce: presence.nonce, nodeId, room: roomId };
+        return SignalingServer.verifyIdentitySignature(presence.publicKey, challengeData, presence.signature);
+    }
+
+    // 固定時間比較字串，避免時序攻擊
+    static safeEqual(a, b) {
+        const hashA = crypto.createHash('sha256').update(String(a)).digest();
+        const hashB = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(hashA, hashB);
+    }
+
     // 清理無效連線
     cleanup() {
+        if (this.mailbox) {
+            this.mailbox.purgeExpired();
+        }
+
         const invalidClients = [];
         
-        for (const [nodeId, ws] of this.clients) {
-            if (ws.readyState !== WebSocket.OPEN) {
-                invalidClients.push(nodeId);
+        for (const [roomId, room] of this.rooms) {
+            for (const [nodeId, ws] of room) {
+                if (ws.readyState !== WebSocket.OPEN) {
+                    invalidClients.push({ roomId, nodeId, ws });
+                }
             }
         }
 
-        for (const nodeId of invalidClients) {
-            console.log(`清理無效連線: ${nodeId}`);
-            this.clients.delete(nodeId);
+        for (const { roomId, nodeId, ws } of invalidClients) {
+            console.log(`清理無效連線: ${nodeId} (房間 ${roomId})`);
+            this.removeClient(roomId, nodeId, ws);
         }
 
         return invalidClients.length;
@@ -316,31 +975,116 @@ class SignalingServer {
 // 如果直接執行此檔案，啟動伺服器
 if (require.main === module) {
     const port = process.env.PORT || 8081;
-    const server = new SignalingServer(port);
+
+    // 受保護的房間設定，例如 ROOM_AUTH='{"team":{"password":"secret"}}'
+    let roomAuth = {};
+    if (process.env.ROOM_AUTH) {
+        try {
+            roomAuth = JSON.parse(process.env.ROOM_AUTH);
+        } catch (error) {
+            console.error('ROOM_AUTH 格式錯誤:', error.message);
+            process.exit(1);
+        }
+    }
+
+    // TURN 設定，例如 TURN_URLS='turn:turn.example.com:3478?transport=udp' TURN_SECRET=...
+    let turn = null;
+    if (process.env.TURN_URLS && process.env.TURN_SECRET) {
+        turn = {
+            urls: process.env.TURN_URLS.split(',').map(url => url.trim()),
+            secret: process.env.TURN_SECRET,
+            ttl: parseInt(process.env.TURN_TTL, 10) || 86400
+        };
+    }
+
+    // 多個伺服器實例透過 Redis pub/sub 組成同一個信令網路，例如 REDIS_URL=redis://localhost:6379
+    let backend;
+    if (process.env.REDIS_URL) {
+        let Redis;
+        try {
+            Redis = require('ioredis');
+        } catch (error) {
+            console.error('使用 REDIS_URL 需要先安裝 ioredis: npm install ioredis');
+            process.exit(1);
+        }
+        backend = new PubSubBackend({
+            publisher: new Redis(process.env.REDIS_URL),
+            subscriber: new Redis(process.env.REDIS_URL),
+            serverId: process.env.SERVER_ID
+        });
+    }
+
+    // 以 mDNS 宣告並探索同網段的信令伺服器，互相轉發在線狀態與信令，例如 LAN_DISCOVERY=1
+    let lan = null;
+    let discovery = null;
+    if (process.env.LAN_DISCOVERY && !backend) {
+        if (!process.env.LAN_SECRET) {
+            console.error('使用 LAN_DISCOVERY 需要設定 LAN_SECRET，只有持有相同密鑰的伺服器能互連');
+            process.exit(1);
+        }
+
+        let Bonjour;
+        try {
+            ({ Bonjour } = require('bonjour-service'));
+        } catch (error) {
+            console.error('使用 LAN_DISCOVERY 需要先安裝 bonjour-service: npm install bonjour-service');
+            process.exit(1);
+        }
+        const serverId = process.env.SERVER_ID || crypto.randomBytes(8).toString('hex');
+        lan = new LanPubSub({ secret: process.env.LAN_SECRET, serverId });
+        backend = new PubSubBackend({
+            publisher: lan,
+            subscriber: lan,
+            serverId
+        });
+        discovery = new LanDiscovery({
+            bonjour: new Bonjour(),
+            pubsub: lan,
+            serverId,
+            port
+        });
+        lan.on('link', () => backend.resync());
+    } else if (process.env.LAN_DISCOVERY) {
+        console.log('已設定 REDIS_URL，忽略 LAN_DISCOVERY');
+    }
+
+    const server = new SignalingServer(port, {
+        roomAuth,
+        turn,
+        backend,
+        lan,
+        adminToken: process.env.ADMIN_TOKEN,
+        heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL, 10) || undefined,
+        heartbeatTimeout: parseInt(process.env.HEARTBEAT_TIMEOUT, 10) || undefined,
+        resumeGracePeriod: process.env.RESUME_GRACE_PERIOD !== undefined
+            ? parseInt(process.env.RESUME_GRACE_PERIOD, 10)
+            : undefined,
+        // 設定 MAILBOX_TTL（毫秒）即啟用離線信箱
+        mailbox: process.env.MAILBOX_TTL ? {
+            ttl: parseInt(process.env.MAILBOX_TTL, 10),
+            maxPerRecipient: parseInt(process.env.MAILBOX_QUOTA, 10) || undefined
+        } : null
+    });
 
     // 處理程序退出
     process.on('SIGINT', async () => {
         console.log('\n正在關閉伺服器...');
+        if (discovery) await discovery.stop();
         await server.stop();
         process.exit(0);
     });
 
     process.on('SIGTERM', async () => {
         console.log('\n正在關閉伺服器...');
+        if (discovery) await discovery.stop();
         await server.stop();
         process.exit(0);
     });
 
-    // 定期清理無效連線
-    setInterval(() => {
-        const cleaned = server.cleanup();
-        if (cleaned > 0) {
-            console.log(`清理了 ${cleaned} 個無效連線`);
-        }
-    }, 60000); // 每分鐘清理一次
-
     // 啟動伺服器
-    server.start().catch((error) => {
+    server.start().then(() => {
+        if (discovery) discovery.start();
+    }).catch((error) => {
         console.error('啟動伺服器失敗:', error);
         process.exit(1);
     });
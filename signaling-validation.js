@@ -0,0 +1,124 @@
+// 信令訊息驗證 - 各訊息類型的欄位格式、錯誤代碼與每個連線的速率限制
+
+// 回傳給客戶端的 error 訊息所帶的錯誤代碼
+const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    NOT_REGISTERED: 'NOT_REGISTERED',
+    ROOM_AUTH_FAILED: 'ROOM_AUTH_FAILED',
+    ID_KEY_MISMATCH: 'ID_KEY_MISMATCH',
+    NO_PENDING_REGISTRATION: 'NO_PENDING_REGISTRATION',
+    IDENTITY_VERIFICATION_FAILED: 'IDENTITY_VERIFICATION_FAILED',
+    SENDER_MISMATCH: 'SENDER_MISMATCH',
+    PEER_UNAVAILABLE: 'PEER_UNAVAILABLE',
+    MAILBOX_DISABLED: 'MAILBOX_DISABLED',
+    MAILBOX_FULL: 'MAILBOX_FULL',
+    MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE'
+};
+
+const NODE_ID = { type: 'string', required: true, maxLength: 128 };
+
+const SIGNAL_SCHEMA = {
+    from: NODE_ID,
+    to: NODE_ID,
+    signal: { type: 'object', required: true }
+};
+
+// 每種訊息類型允許的欄位；未列出的欄位會被忽略
+const MESSAGE_SCHEMAS = {
+    'register': {
+        nodeId: NODE_ID,
+        publicKey: { type: 'string', required: true, maxLength: 512 },
+        room: { type: 'string', maxLength: 64 },
+        password: { type: 'string', maxLength: 256 },
+        token: { type: 'string', maxLength: 512 },
+        resumeToken: { type: 'string', maxLength: 128 }
+    },
+    'challenge-response': {
+        signature: { type: 'string', required: true, maxLength: 256 }
+    },
+    'offer': SIGNAL_SCHEMA,
+    'answer': SIGNAL_SCHEMA,
+    'ice-candidate': SIGNAL_SCHEMA,
+    'mail': {
+        from: NODE_ID,
+        to: NODE_ID,
+        payload: { type: 'object', required: true },
+        ttl: { type: 'number' }
+    },
+    'get-peers': {},
+    'ping': {
+        timestamp: { type: 'number' }
+    }
+};
+
+function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// 驗證訊息格式，通過時回傳 null，否則回傳 { code, message }
+function validateMessage(message) {
+    if (getValueType(message) !== 'object' || typeof message.type !== 'string') {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be an object with a type' };
+    }
+
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        return { code: ERROR_CODES.UNKNOWN_TYPE, message: 'Unknown message type' };
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = message[field];
+
+        if (value === undefined) {
+            if (rule.required) {
+                return { code: ERROR_CODES.INVALID_MESSAGE, message: `Field ${field} is required` };
+            }
+            continue;
+        }
+
+        if (getValueType(value) !== rule.type) {
+            return { code: ERROR_CODES.INVALID_MESSAGE, message: `Field ${field} must be a ${rule.type}` };
+        }
+
+        if (rule.type === 'string' && (value.length === 0 || (rule.maxLength && value.length > rule.maxLength))) {
+            return { code: ERROR_CODES.INVALID_MESSAGE, message: `Field ${field} has an invalid length` };
+        }
+    }
+
+    return null;
+}
+
+// 每個連線的令牌桶：最多累積 capacity 個令牌，每秒補充 refillPerSecond 個
+class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    take() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) {
+            return false;
+        }
+        this.tokens--;
+        return true;
+    }
+}
+
+module.exports = {
+    ERROR_CODES,
+    MESSAGE_SCHEMAS,
+    validateMessage,
+    TokenBucket
+};
@@ -0,0 +1,51 @@
+// 房間的共用密碼與加入令牌
+const test = require('node:test');
+const assert = require('node:assert');
+const SignalingServer = require('../signaling-server');
+
+// 與 TURN 憑證相同，到期時間為 Unix 時間（秒）
+function secondsFromNow(seconds) {
+    return Math.floor(Date.now() / 1000) + seconds;
+}
+
+test('有效期限內、房間與節點相符的令牌通過驗證', () => {
+    const token = SignalingServer.createJoinToken('hmac-key', 'ops', 'node-a', secondsFromNow(60));
+    assert.match(token, /^\d+\.[0-9a-f]{64}$/);
+    assert.strictEqual(SignalingServer.verifyJoinToken('hmac-key', 'ops', 'node-a', token), true);
+});
+
+test('其他房間、其他節點或不同密鑰的令牌無法通過驗證', () => {
+    const token = SignalingServer.createJoinToken('hmac-key', 'ops', 'node-a', secondsFromNow(60));
+    assert.strictEqual(SignalingServer.verifyJoinToken('hmac-key', 'team', 'node-a', token), false);
+    assert.strictEqual(SignalingServer.verifyJoinToken('hmac-key', 'ops', 'node-b', token), false);
+    assert.strictEqual(SignalingServer.verifyJoinToken('other-key', 'ops', 'node-a', token), false);
+});
+
+test('過期或被竄改的令牌無法通過驗證', () => {
+    const expired = SignalingServer.createJoinToken('hmac-key', 'ops', 'node-a', secondsFromNow(-1));
+    assert.strictEqual(SignalingServer.verifyJoinToken('hmac-key', 'ops', 'node-a', expired), false);
+
+    // 延長到期時間後簽名不再相符
+    const [, hmac] = SignalingServer.createJoinToken('hmac-key', 'ops', 'node-a', secondsFromNow(60)).split('.');
+    const extended = `${secondsFromNow(3600)}.${hmac}`;
+    assert.strictEqual(SignalingServer.verifyJoinToken('hmac-key', 'ops', 'node-a', extended), false);
+
+    for (const token of ['', 'abc', `${secondsFromNow(60)}.`, `soon.${hmac}`]) {
+        assert.strictEqual(SignalingServer.verifyJoinToken('hmac-key', 'ops', 'node-a', token), false);
+    }
+});
+
+test('房間接受共用密碼或加入令牌其中之一，未設定驗證的房間不需驗證', () => {
+    const server = new SignalingServer(0, {
+        roomAuth: { team: { password: 'secret' }, ops: { tokenSecret: 'hmac-key' } }
+    });
+    const token = SignalingServer.createJoinToken('hmac-key', 'ops', 'node-a', secondsFromNow(60));
+
+    assert.strictEqual(server.verifyRoomAccess('open', 'node-a', {}), true);
+    assert.strictEqual(server.verifyRoomAccess('team', 'node-a', { password: 'secret' }), true);
+    assert.strictEqual(server.verifyRoomAccess('team', 'node-a', { password: 'guess' }), false);
+    assert.strictEqual(server.verifyRoomAccess('team', 'node-a', {}), false);
+    assert.strictEqual(server.verifyRoomAccess('ops', 'node-a', { token }), true);
+    assert.strictEqual(server.verifyRoomAccess('ops', 'node-b', { token }), false);
+    assert.strictEqual(server.verifyRoomAccess('ops', 'node-a', { password: 'secret' }), false);
+});
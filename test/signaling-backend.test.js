@@ -0,0 +1,218 @@
+// 以 FakePubSub 串連兩個信令伺服器實例，測試跨實例的在線狀態、信令轉發與 server-down
+const test = require('node:test');
+const assert = require('node:assert');
+const { webcrypto } = require('crypto');
+const WebSocket = require('ws');
+const SignalingServer = require('../signaling-server');
+const { PubSubBackend, FakePubSub } = require('../signaling-backend');
+
+const { subtle } = webcrypto;
+
+// 伺服器的連線日誌會混入測試輸出
+test.mock.method(console, 'log', () => {});
+
+// 與瀏覽器端相同的身分：ECDSA P-256 公鑰推導節點 ID
+async function createIdentity() {
+    const keyPair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const publicKey = Buffer.from(await subtle.exportKey('spki', keyPair.publicKey)).toString('base64');
+    return { keyPair, publicKey, nodeId: SignalingServer.addressFromPublicKey(publicKey) };
+}
+
+// 連線並完成註冊挑戰，收到 peer-list 後 resolve
+function connectNode(server, identity, room, resumeToken = undefined) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${server.server.address().port}`);
+        ws.messages = [];
+
+        ws.on('message', async (data) => {
+            const message = JSON.parse(data.toString());
+            ws.messages.push(message);
+
+            if (message.type === 'challenge') {
+                const challengeData = { nonce: message.nonce, nodeId: identity.nodeId, room };
+                const signature = await subtle.sign(
+                    { name: 'ECDSA', hash: 'SHA-256' },
+                    identity.keyPair.privateKey,
+                    Buffer.from(JSON.stringify(challengeData))
+                );
+                ws.send(JSON.stringify({
+                    type: 'challenge-response',
+                    signature: Buffer.from(signature).toString('base64')
+                }));
+            } else if (message.type === 'peer-list') {
+                resolve(ws);
+            }
+        });
+        ws.on('open', () => {
+            ws.send(JSON.stringify({
+                type: 'register',
+                nodeId: identity.nodeId,
+                publicKey: identity.publicKey,
+                room,
+                resumeToken
+            }));
+        });
+        ws.on('error', reject);
+    });
+}
+
+// 等待符合條件的訊息（包含已經收到的）
+function waitForMessage(ws, predicate, timeout = 2000) {
+    const found = ws.messages.find(predicate);
+    if (found) return Promise.resolve(found);
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            ws.removeListener('message', handleMessage);
+            reject(new Error('等待訊息逾時'));
+        }, timeout);
+        const handleMessage = (data) => {
+            const message = JSON.parse(data.toString());
+            if (predicate(message)) {
+                clearTimeout(timer);
+                ws.removeListener('message', handleMessage);
+                resolve(message);
+            }
+        };
+        ws.on('message', handleMessage);
+    });
+}
+
+async function startCluster(resumeGracePeriod = 0) {
+    const bus = new FakePubSub();
+    const createServer = () => new SignalingServer(0, {
+        backend: new PubSubBackend({
+            publisher: bus.createClient(),
+            subscriber: bus.createClient(),
+            heartbeatInterval: 60000
+        }),
+        resumeGracePeriod
+    });
+
+    const servers = [createServer(), createServer()];
+    for (const server of servers) {
+        await server.start();
+    }
+    return { bus, servers };
+}
+
+async function stopAll(servers, sockets) {
+    for (const ws of sockets) {
+        ws.close();
+    }
+    for (const server of servers) {
+        if (server.server.listening) {
+            await server.stop();
+        }
+    }
+}
+
+test('其他實例上的節點出現在 peer-list 與 peer-joined 中', async () => {
+    const { servers: [serverA, serverB] } = await startCluster();
+    const [identityA, identityB] = await Promise.all([createIdentity(), createIdentity()]);
+
+    const nodeA = await connectNode(serverA, identityA, 'room');
+    const nodeB = await connectNode(serverB, identityB, 'room');
+    try {
+        const joined = await waitForMessage(nodeA, message => message.type === 'peer-joined');
+        assert.strictEqual(joined.nodeId, identityB.nodeId);
+
+        const peerList = nodeB.messages.find(message => message.type === 'peer-list');
+        assert.deepStrictEqual(peerList.peers, [identityA.nodeId]);
+        assert.deepStrictEqual(serverA.getRoomMembership().room.sort(), [identityA.nodeId, identityB.nodeId].sort());
+    } finally {
+        await stopAll([serverA, serverB], [nodeA, nodeB]);
+    }
+});
+
+test('信令訊息轉發到其他實例上的節點', async () => {
+    const { servers: [serverA, serverB] } = await startCluster();
+    const [identityA, identityB] = await Promise.all([createIdentity(), createIdentity()]);
+
+    const nodeA = await connectNode(serverA, identityA, 'room');
+    const nodeB = await connectNode(serverB, identityB, 'room');
+    try {
+        await waitForMessage(nodeA, message => message.type === 'peer-joined');
+        nodeB.send(JSON.stringify({
+            type: 'offer',
+            from: identityB.nodeId,
+            to: identityA.nodeId,
+            signal: { type: 'offer', sdp: 'v=0' }
+        }));
+
+        const offer = await waitForMessage(nodeA, message => message.type === 'offer');
+        assert.strictEqual(offer.from, identityB.nodeId);
+        assert.deepStrictEqual(offer.signal, { type: 'offer', sdp: 'v=0' });
+    } finally {
+        await stopAll([serverA, serverB], [nodeA, nodeB]);
+    }
+});
+
+test('沒有有效註冊證明的節點宣告會被忽略', async () => {
+    const { bus, servers: [serverA, serverB] } = await startCluster();
+    const identityA = await createIdentity();
+
+    const nodeA = await connectNode(serverA, identityA, 'room');
+    const intruder = bus.createClient();
+    try {
+        await intruder.publish('p2pme:presence', JSON.stringify({
+            kind: 'join',
+            roomId: 'room',
+            nodeId: identityA.nodeId,
+            serverId: 'intruder'
+        }));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.strictEqual(nodeA.readyState, WebSocket.OPEN);
+        assert.strictEqual(serverB.backend.getRemotePresence('room', identityA.nodeId).publicKey, identityA.publicKey);
+        assert.ok(!nodeA.messages.some(message => message.type === 'peer-joined'));
+    } finally {
+        await stopAll([serverA, serverB], [nodeA]);
+    }
+});
+
+test('實例關閉時其他實例通知該實例上的節點離開', async () => {
+    const { servers: [serverA, serverB] } = await startCluster();
+    const [identityA, identityB] = await Promise.all([createIdentity(), createIdentity()]);
+
+    const nodeA = await connectNode(serverA, identityA, 'room');
+    const nodeB = await connectNode(serverB, identityB, 'room');
+    try {
+        await waitForMessage(nodeA, message => message.type === 'peer-joined');
+        await serverB.stop();
+
+        const left = await waitForMessage(nodeA, message => message.type === 'peer-left');
+        assert.strictEqual(left.nodeId, identityB.nodeId);
+        assert.deepStrictEqual(serverA.getRoomMembership().room, [identityA.nodeId]);
+    } finally {
+        await stopAll([serverA, serverB], [nodeA, nodeB]);
+    }
+});
+
+test('節點改連到其他實例時以恢復令牌恢復工作階段', async () => {
+    const { servers: [serverA, serverB] } = await startCluster(5000);
+    const [identityA, identityB] = await Promise.all([createIdentity(), createIdentity()]);
+
+    const nodeB = await connectNode(serverB, identityB, 'room');
+    const firstA = await connectNode(serverA, identityA, 'room');
+    let resumedA = null;
+    try {
+        await waitForMessage(nodeB, message => message.type === 'peer-joined');
+        const { resumeToken } = firstA.messages.find(message => message.type === 'peer-list');
+
+        // 非正常中斷，serverA 保留位置
+        firstA.terminate();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        nodeB.messages.length = 0;
+
+        resumedA = await connectNode(serverB, identityA, 'room', resumeToken);
+        const peerList = resumedA.messages.find(message => message.type === 'peer-list');
+        assert.strictEqual(peerList.resumed, true);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(serverA.suspended.size, 0);
+        assert.ok(!nodeB.messages.some(message => message.type === 'peer-joined' || message.type === 'peer-left'));
+    } finally {
+        await stopAll([serverA, serverB], [nodeB, firstA, resumedA].filter(Boolean));
+    }
+});
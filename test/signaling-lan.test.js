@@ -0,0 +1,106 @@
+// 區域網路互連的交握：雙方以共用密鑰的 HMAC 互相驗證，密鑰本身不會送出
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { LanPubSub } = require('../signaling-lan');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+// 接受互連的一方：把 /lan 連線交給 LanPubSub.acceptLink
+function listen(lan) {
+    const wss = new WebSocket.Server({ port: 0 });
+    wss.on('connection', (ws, req) => lan.acceptLink(ws, req));
+    return new Promise(resolve => wss.on('listening', () => resolve(wss)));
+}
+
+function urlOf(wss) {
+    return `ws://localhost:${wss.address().port}/lan`;
+}
+
+function waitForEvent(emitter, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`等待 ${event} 逾時`)), timeout);
+        emitter.once(event, (...args) => {
+            clearTimeout(timer);
+            resolve(args);
+        });
+    });
+}
+
+test('持有相同密鑰的伺服器完成交握並互相轉發訊息', async () => {
+    const acceptor = new LanPubSub({ secret: 'office-secret', serverId: 'bbbb' });
+    const dialer = new LanPubSub({ secret: 'office-secret', serverId: 'aaaa' });
+    const wss = await listen(acceptor);
+    try {
+        await acceptor.subscribe('presence');
+        const linked = Promise.all([waitForEvent(acceptor, 'link'), waitForEvent(dialer, 'link')]);
+        dialer.connect('bbbb', urlOf(wss));
+        const [[acceptedId], [dialedId]] = await linked;
+        assert.strictEqual(acceptedId, 'aaaa');
+        assert.strictEqual(dialedId, 'bbbb');
+
+        const received = waitForEvent(acceptor, 'message');
+        assert.strictEqual(await dialer.publish('presence', 'hello'), 1);
+        assert.deepStrictEqual(await received, ['presence', 'hello']);
+    } finally {
+        await dialer.quit();
+        await acceptor.quit();
+        wss.close();
+    }
+});
+
+test('密鑰不同的伺服器無法互連', async () => {
+    const acceptor = new LanPubSub({ secret: 'office-secret', serverId: 'bbbb' });
+    const dialer = new LanPubSub({ secret: 'guessed-secret', serverId: 'aaaa' });
+    const wss = await listen(acceptor);
+    try {
+        dialer.connect('bbbb', urlOf(wss));
+        await waitForEvent(dialer, 'link-closed');
+        assert.strictEqual(dialer.links.size, 0);
+        assert.strictEqual(acceptor.links.size, 0);
+    } finally {
+        await dialer.quit();
+        await acceptor.quit();
+        wss.close();
+    }
+});
+
+test('偽造的證明不會被接受', async () => {
+    const acceptor = new LanPubSub({ secret: 'office-secret', serverId: 'bbbb' });
+    const wss = await listen(acceptor);
+    try {
+        const ws = new WebSocket(urlOf(wss), {
+            headers: { 'x-p2pme-server-id': 'ffff', 'x-p2pme-nonce': LanPubSub.createNonce() }
+        });
+        ws.on('message', () => ws.send(JSON.stringify({ type: 'auth-response', proof: '00'.repeat(32) })));
+        const [code] = await waitForEvent(ws, 'close');
+        assert.strictEqual(code, 1008);
+        assert.strictEqual(acceptor.links.size, 0);
+    } finally {
+        await acceptor.quit();
+        wss.close();
+    }
+});
+
+test('主動連線時不會把密鑰送給冒充的伺服器', async () => {
+    const dialer = new LanPubSub({ secret: 'office-secret', serverId: 'aaaa' });
+    const wss = new WebSocket.Server({ port: 0 });
+    await new Promise(resolve => wss.on('listening', resolve));
+    const seen = [];
+    wss.on('connection', (ws, req) => {
+        seen.push(JSON.stringify(req.headers));
+        ws.on('message', data => seen.push(data.toString()));
+        ws.send(JSON.stringify({ type: 'auth-challenge', nonce: LanPubSub.createNonce(), proof: '00'.repeat(32) }));
+    });
+    try {
+        dialer.connect('ffff', urlOf(wss));
+        await waitForEvent(dialer, 'link-closed');
+        assert.ok(!seen.some(item => item.includes('office-secret')));
+        assert.ok(!seen.some(item => item.includes('auth-response')));
+        assert.strictEqual(dialer.links.size, 0);
+    } finally {
+        await dialer.quit();
+        wss.close();
+    }
+});
@@ -0,0 +1,74 @@
+// 離線信箱的收件配額、有效期限與大小限制
+const test = require('node:test');
+const assert = require('node:assert');
+const Mailbox = require('../signaling-mailbox');
+
+// 以可調整的時間取代 Date.now
+function useClock(t) {
+    const clock = { now: 1000000 };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+test('每個收件節點最多暫存 maxPerRecipient 則訊息，取出後清空', (t) => {
+    useClock(t);
+    const mailbox = new Mailbox({ maxPerRecipient: 2 });
+
+    assert.strictEqual(mailbox.store('room', 'bob', { n: 1 }), true);
+    assert.strictEqual(mailbox.store('room', 'bob', { n: 2 }), true);
+    assert.strictEqual(mailbox.store('room', 'bob', { n: 3 }), false);
+    // 配額依房間與節點分開計算
+    assert.strictEqual(mailbox.store('other', 'bob', { n: 4 }), true);
+
+    assert.deepStrictEqual(mailbox.take('room', 'bob'), [{ n: 1 }, { n: 2 }]);
+    assert.deepStrictEqual(mailbox.take('room', 'bob'), []);
+    assert.strictEqual(mailbox.size(), 1);
+});
+
+test('過期的訊息不會投遞，也不佔用配額', (t) => {
+    const clock = useClock(t);
+    const mailbox = new Mailbox({ ttl: 1000, maxPerRecipient: 1 });
+
+    mailbox.store('room', 'bob', { n: 1 });
+    clock.now += 1000;
+    assert.strictEqual(mailbox.store('room', 'bob', { n: 2 }), true);
+    assert.deepStrictEqual(mailbox.take('room', 'bob'), [{ n: 2 }]);
+});
+
+test('要求的有效期限不可超過 ttl', (t) => {
+    const clock = useClock(t);
+    const mailbox = new Mailbox({ ttl: 1000 });
+
+    mailbox.store('room', 'short', { n: 1 }, 100);
+    mailbox.store('room', 'long', { n: 2 }, 60000);
+    clock.now += 500;
+    assert.deepStrictEqual(mailbox.take('room', 'short'), []);
+    clock.now += 500;
+    assert.deepStrictEqual(mailbox.take('room', 'long'), []);
+});
+
+test('purgeExpired 清除過期的訊息與太久沒有註冊的節點', (t) => {
+    const clock = useClock(t);
+    const mailbox = new Mailbox({ ttl: 1000, knownNodeRetention: 5000 });
+
+    mailbox.markKnown('room', 'bob');
+    mailbox.store('room', 'bob', { n: 1 });
+    assert.strictEqual(mailbox.isKnown('room', 'bob'), true);
+    assert.strictEqual(mailbox.isKnown('room', 'carol'), false);
+
+    clock.now += 1000;
+    mailbox.purgeExpired();
+    assert.strictEqual(mailbox.size(), 0);
+    assert.strictEqual(mailbox.isKnown('room', 'bob'), true);
+
+    clock.now += 4000;
+    mailbox.purgeExpired();
+    assert.strictEqual(mailbox.isKnown('room', 'bob'), false);
+    assert.strictEqual(mailbox.knownNodes.size, 0);
+});
+
+test('序列化後超過 maxMessageSize 的訊息不接受', () => {
+    const mailbox = new Mailbox({ maxMessageSize: 32 });
+    assert.strictEqual(mailbox.isWithinSizeLimit({ note: 'hi' }), true);
+    assert.strictEqual(mailbox.isWithinSizeLimit({ note: 'x'.repeat(32) }), false);
+});
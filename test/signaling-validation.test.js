@@ -0,0 +1,52 @@
+// 信令訊息的格式驗證與每個連線的令牌桶速率限制
+const test = require('node:test');
+const assert = require('node:assert');
+const { ERROR_CODES, validateMessage, TokenBucket } = require('../signaling-validation');
+
+test('格式正確的訊息通過驗證，未列出的欄位會被忽略', () => {
+    assert.strictEqual(validateMessage({ type: 'get-peers' }), null);
+    assert.strictEqual(validateMessage({ type: 'ping', timestamp: 1, extra: 'ignored' }), null);
+    assert.strictEqual(validateMessage({ type: 'offer', from: 'a', to: 'b', signal: { sdp: 'v=0' } }), null);
+});
+
+test('不是物件或沒有類型的訊息回傳 INVALID_MESSAGE', () => {
+    for (const message of [null, [], 'offer', { to: 'b' }, { type: 1 }]) {
+        assert.strictEqual(validateMessage(message).code, ERROR_CODES.INVALID_MESSAGE);
+    }
+});
+
+test('未知的訊息類型回傳 UNKNOWN_TYPE', () => {
+    assert.strictEqual(validateMessage({ type: 'shutdown' }).code, ERROR_CODES.UNKNOWN_TYPE);
+});
+
+test('缺少必要欄位、類型錯誤或長度不符的欄位回傳 INVALID_MESSAGE', () => {
+    const invalid = [
+        { type: 'offer', from: 'a', signal: {} },
+        { type: 'offer', from: 'a', to: 'b', signal: 'v=0' },
+        { type: 'answer', from: 'a', to: ['b'], signal: {} },
+        { type: 'ice-candidate', from: '', to: 'b', signal: {} },
+        { type: 'register', nodeId: 'a'.repeat(129), publicKey: 'key' },
+        { type: 'ping', timestamp: '1' }
+    ];
+    for (const message of invalid) {
+        const error = validateMessage(message);
+        assert.strictEqual(error && error.code, ERROR_CODES.INVALID_MESSAGE, JSON.stringify(message));
+    }
+});
+
+test('令牌桶用完後拒絕，並依經過的時間補充到容量上限', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+
+    const bucket = new TokenBucket(3, 2);
+    assert.deepStrictEqual([bucket.take(), bucket.take(), bucket.take(), bucket.take()], [true, true, true, false]);
+
+    // 每秒補充 2 個令牌
+    now += 500;
+    assert.strictEqual(bucket.take(), true);
+    assert.strictEqual(bucket.take(), false);
+
+    // 閒置很久也只累積到容量上限
+    now += 60000;
+    assert.deepStrictEqual([bucket.take(), bucket.take(), bucket.take(), bucket.take()], [true, true, true, false]);
+});